@@ -0,0 +1,1970 @@
+import { EventEmitter } from 'events'
+import { fileURLToPath } from 'url'
+import chokidar from 'chokidar'
+import c from 'ansi-colors'
+import { fork, spawn, execSync } from 'child_process'
+import fs from 'fs-extra'
+import path from 'path'
+import { kill } from 'cross-port-killer'
+import debounce from 'lodash.debounce'
+import delay from 'delay'
+import micromatch from 'micromatch'
+import { loadManifest } from './lib/manifest.js'
+import { normalizeProcesses, orderByDependencies } from './lib/processes.js'
+import { waitForReady } from './lib/readiness.js'
+import { createProcessLogger } from './lib/logs.js'
+import { getProcessEnv } from './lib/envFiles.js'
+import { createBundle, formatSize, formatSizeTable } from './lib/bundle.js'
+import { createLiveReloadServer, defaultLiveReloadPort } from './lib/liveReload.js'
+import {
+  useProcessGroups,
+  listDescendants,
+  signalTree,
+  killPids,
+  waitForPids,
+} from './lib/processTree.js'
+import { createWorkerPool } from './lib/workerPool.js'
+import { symlinkModes, isSymlinkCycle, getOutputLinkTarget } from './lib/symlinks.js'
+import {
+  normalizeWatchRoots,
+  getOutputRelativePath,
+  getMappingKey,
+} from './lib/watchRoots.js'
+import { runTransformerChain } from './lib/transformResult.js'
+import {
+  loadTransformerRules,
+  getTransformerChain,
+  getChainHash,
+  explainTransformerChain,
+} from './lib/transformers.js'
+import { getProdDeps, isProdDepPath, explainProdDepPath } from './lib/prodDeps.js'
+import {
+  toArray,
+  hashContents,
+  normalizePath,
+  flattenChokidarWatched,
+  createLimit,
+} from './lib/utils.js'
+
+export { findConfig, loadPipeline } from './lib/config.js'
+
+const transformWorkerFile = fileURLToPath(
+  new URL('./lib/transformWorker.js', import.meta.url)
+)
+
+/*
+  Creates a rebuild instance. `options` uses the same names as the config file:
+  watch, transform, using, transformers, output, fork, spawn, exec, cleanup,
+  kill, wait, restart, prefix, timestamps, silence, cache, workers,
+  concurrency, symlinks, liveReload and debug. `using` and `cleanup` may also be functions
+  instead of paths to JS files. `quiet` turns off the `[monitor]` log lines.
+
+  The returned object is an EventEmitter with these methods:
+  * build() - Builds every watch dir once, without watching or starting processes.
+  * start() - Builds, then watches for changes and starts the processes.
+  * restart(names) - Restarts the processes now, instead of waiting for a change.
+    `names` optionally limits it to some of the processes.
+  * forceBuild() - Builds every file again, ignoring the cache, and restarts.
+  * bundle(zipPath) - Builds once, then zips the output.
+  * plan() - Lists what a build would do with each file, without writing anything.
+  * status() - The state of the build and of each process.
+  * setDebug(value) - Turns --debug logging on or off.
+  * stop() - Stops watching, stops the processes, and kills the --kill ports.
+
+  Nothing here calls process.exit() or installs process-wide handlers.
+  That is left to the CLI in watch.js.
+* */
+export function createRebuild(options = {}) {
+  const watchRoots = normalizeWatchRoots(options.watch)
+  const watchDirs = watchRoots.map((root) => root.dir)
+  const outDirs = toArray(options.output)
+  // The first output dir holds the build manifest, and the others get a copy
+  // of each of its outputs.
+  const outDir = outDirs[0]
+  const mirrorDirs = outDirs.slice(1)
+  const mappingKey = getMappingKey(watchRoots, outDirs)
+  const processes = normalizeProcesses(options)
+  let debug = options.debug
+  const killPorts = toArray(options.kill)
+  const cleaner = options.cleanup
+  const wait = options.wait || 3000
+  const useCache = options.cache !== false
+  const workerCount = Number(options.workers) || 0
+  const concurrency = Number(options.concurrency) || 8
+  const symlinkMode = options.symlinks || 'dereference'
+
+  if (watchDirs.length === 0) {
+    throw new Error(
+      'At least one --watch (-w) option must be specified. -w is a directory to watch.'
+    )
+  }
+
+  if (!outDir) {
+    throw new Error(
+      'At least one --output (-o) option must be specified. -o is the output directory.'
+    )
+  }
+
+  if (!symlinkModes.includes(symlinkMode)) {
+    throw new Error(
+      `Unknown --symlinks mode ${symlinkMode}. Expected one of: ${symlinkModes.join(', ')}`
+    )
+  }
+
+  const rebuild = new EventEmitter()
+  const log = options.quiet ? () => {} : (...args) => console.log(...args)
+
+  let transformerRules = null
+  let workerPool = null
+  let clean = null
+  let manifest = null
+  let prodDeps = null
+
+  let children = {} // key is process name, value is {type: 'spawn' | 'fork', child, command, name, spec}
+  let changedOutputs = new Set() // cwd-relative outputs changed since the last restart
+  let envChanged = new Set() // names of processes whose env files changed since the last restart
+  let autoRestarts = {} // key is process name, value is {times, attempt, timer, gaveUp}
+  let restartAll = true // the next restart restarts every process, regardless of changes
+  let stats = {} // key is process name, value is {starts, lastExitCode, lastExitSignal, lastExitFailed}
+  let watchers = []
+  let watchersSetup = false
+  let stopping = false
+  let crashDetected = false
+  let failing = {} // key is a source file whose transform failed, value is the error
+  let buildsRunning = 0 // builds of every watch dir, like the initial one or forceBuild()
+  let dependents = {} // key is a file a transformer read, value is {[source]: true}
+  let dependencyWatcher = null
+  let liveReload = null // the live reload server, while watching with `liveReload`
+
+  const defaultClean = async (execution, spawnerType, signal) => {
+    if (signal === 'SIGINT') {
+      log(`${c.green('[monitor]')} ${c.grey('SIGINT')} ${c.grey(execution.command)}`)
+      signalTree(execution.child, 'SIGINT') // child is expected to exit on its own
+    } else {
+      // SIGRES signal handling:
+      if (spawnerType === 'spawn') {
+        log(`${c.green('[monitor]')} ${c.grey('SIGTERM')} ${c.grey(execution.command)}`)
+        signalTree(execution.child, 'SIGTERM')
+      } else if (spawnerType === 'fork') {
+        log(`${c.green('[monitor]')} ${c.grey('SIGRES')} ${c.grey(execution.command)}`)
+        execution.child.send('SIGRES') // child is expected to exit on its own
+      }
+    }
+  }
+
+  /*
+    Loads the transformers, the cleanup function, the build manifest and the
+    prod deps. Called once, by whichever of build() or start() runs first.
+  * */
+  let setupPromise = null
+  const setup = () => {
+    if (!setupPromise) {
+      setupPromise = (async () => {
+        transformerRules = await loadTransformerRules(options)
+
+        if (typeof cleaner === 'function') {
+          clean = cleaner
+        } else if (cleaner) {
+          clean = (await import(path.resolve(cleaner))).default
+        } else {
+          clean = defaultClean
+        }
+
+        // The manifest is loaded even with --no-cache, since it is still needed to
+        // know which outputs are owned by this instance.
+        manifest = loadManifest(outDir, watchDirs)
+        if (manifest.error) {
+          log(
+            `${c.green('[monitor]')} ${c.yellow('ignoring unreadable manifest')} ${c.grey(
+              path.relative(process.cwd(), manifest.path)
+            )}`
+          )
+        }
+
+        for (const [source, entry] of Object.entries(manifest.files)) {
+          setDependencies(source, entry.dependencies)
+        }
+        if (manifest.getMapping() !== mappingKey && Object.keys(manifest.files).length) {
+          log(
+            `${c.green('[monitor]')} ${c.yellow('output mapping changed, building every file again')}`
+          )
+        }
+
+        prodDeps = await getProdDeps(watchDirs)
+      })()
+    }
+    return setupPromise
+  }
+
+  /*
+    Deletes outputs owned by this instance whose source no longer exists,
+    or is no longer picked up by the watcher (`found`, when given).
+    Outputs which another instance also claims are left in place, but they are
+    no longer owned by this one.
+    Directories emptied by the deletion are removed as well.
+    Nothing is pruned while the manifest of another instance cannot be read,
+    so the orphans are left for the next prune.
+  * */
+  function pruneOrphans(found) {
+    const ownedByOthers = manifest.getOutputsOwnedByOthers()
+    if (!ownedByOthers) {
+      log(
+        `${c.green('[monitor]')} ${c.yellow('not pruning')} ${c.grey(
+          'the manifest of another command sharing the output dir could not be read'
+        )}`
+      )
+      return
+    }
+    let pruned = false
+    for (const [source, entry] of Object.entries(manifest.files)) {
+      const orphaned = found ? !found[source] : !fs.existsSync(source)
+      if (!orphaned) continue
+
+      delete manifest.files[source]
+      pruned = true
+      for (const output of entry.outputs) {
+        if (ownedByOthers[output]) continue
+        removeOutput(source, path.resolve(outDir, output), 'pruned')
+      }
+    }
+    if (pruned) {
+      manifest.save()
+    }
+  }
+
+  /*
+    Records the files which the transform of `source` read, as reported by
+    its transformer, in the reverse dependency graph. `dependencies` is the
+    manifest's {[file]: hash}.
+  * */
+  const dependenciesOf = {} // key is a source, value is its list of dependencies
+  function setDependencies(source, dependencies = {}) {
+    for (const dependency of dependenciesOf[source] || []) {
+      if (!(dependency in dependencies)) {
+        delete dependents[dependency][source]
+        if (Object.keys(dependents[dependency]).length === 0) {
+          delete dependents[dependency]
+          if (dependencyWatcher) dependencyWatcher.unwatch(dependency)
+        }
+      }
+    }
+    for (const dependency of Object.keys(dependencies)) {
+      if (!dependents[dependency]) {
+        dependents[dependency] = {}
+        if (dependencyWatcher) dependencyWatcher.add(dependency)
+      }
+      dependents[dependency][source] = true
+    }
+    dependenciesOf[source] = Object.keys(dependencies)
+  }
+
+  // Hashes of the dependencies reported by a transformer, null for a missing file.
+  function hashDependencies(dependencies) {
+    const hashes = {}
+    for (const dependency of dependencies) {
+      const key = normalizePath(path.relative(process.cwd(), dependency))
+      hashes[key] = fs.existsSync(dependency) && fs.statSync(dependency).isFile()
+        ? hashContents(fs.readFileSync(dependency))
+        : null
+    }
+    return hashes
+  }
+
+  function dependenciesUnchanged(entry) {
+    const dependencies = entry.dependencies || {}
+    const current = hashDependencies(Object.keys(dependencies))
+    return Object.keys(dependencies).every(
+      (dependency) => current[dependency] === dependencies[dependency]
+    )
+  }
+
+  /*
+    Transforms the dependents of a file again when it changes or is deleted.
+  * */
+  function watchTransformDependencies() {
+    dependencyWatcher = chokidar.watch(Object.keys(dependents), {
+      ignoreInitial: true,
+    })
+    watchers.push(dependencyWatcher)
+    const onChange = (f) => {
+      const dependency = normalizePath(f)
+      const sources = Object.keys(dependents[dependency] || {}).filter(
+        (source) => manifest.files[source] && fs.existsSync(source)
+      )
+      if (sources.length === 0) return
+      log(
+        `${c.green('[monitor]')} ${c.grey(
+          `${c.yellow('dependency changed')} ${dependency}, ${sources.length} ${
+            sources.length === 1 ? 'dependent' : 'dependents'
+          }`
+        )}`
+      )
+      for (const source of sources) {
+        passAndReport(source)
+      }
+    }
+    dependencyWatcher.on('add', onChange)
+    dependencyWatcher.on('change', onChange)
+    dependencyWatcher.on('unlink', onChange)
+  }
+
+  /*
+    Runs a transformer chain, on a worker thread when there is a pool and
+    every step was loaded from a file. Steps given as functions through the
+    Node API can only run on the main thread.
+  * */
+  async function runChain(chain, inputPath, outputPath, contents) {
+    if (workerCount > 0 && chain.every((step) => step.file)) {
+      if (!workerPool) {
+        workerPool = createWorkerPool(workerCount, transformWorkerFile)
+      }
+      const result = await workerPool.run({
+        files: chain.map((step) => step.file),
+        inputPath,
+        outputPath,
+        contents,
+        outDir,
+      })
+      // Buffers arrive as plain Uint8Arrays after crossing threads.
+      return {
+        outputs: result.outputs.map((output) => ({
+          path: output.path,
+          contents:
+            typeof output.contents === 'string'
+              ? output.contents
+              : Buffer.from(
+                  output.contents.buffer,
+                  output.contents.byteOffset,
+                  output.contents.byteLength
+                ),
+        })),
+        dependencies: result.dependencies,
+      }
+    }
+    return runTransformerChain(chain, inputPath, outputPath, contents, outDir)
+  }
+
+  async function closeWorkerPool() {
+    if (workerPool) {
+      const pool = workerPool
+      workerPool = null
+      await pool.close()
+    }
+  }
+
+  function toOutDirRelative(filepath) {
+    return path.relative(outDir, filepath).replaceAll('\\', '/')
+  }
+
+  /*
+    The copies of an output in the other output dirs. Outputs which a
+    transformer wrote outside the first output dir are not copied.
+  * */
+  function getMirrorPaths(filepath) {
+    const relative = path.relative(outDir, filepath)
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return []
+    }
+    return mirrorDirs.map((dir) => path.resolve(dir, relative))
+  }
+
+  async function mirrorOutput(filepath) {
+    for (const mirrorPath of getMirrorPaths(filepath)) {
+      await fs.copy(filepath, mirrorPath, { dereference: false })
+    }
+  }
+
+  /*
+    Deletes an output file, and its copies in the other output dirs, and any
+    directories left empty by deleting them.
+  * */
+  function removeOutput(source, filepath, reason = 'removed') {
+    const mirrorPaths = getMirrorPaths(filepath)
+    fs.removeSync(filepath)
+    const shortFilepath = path.relative(process.cwd(), filepath)
+    log(
+      `${c.green('[monitor]')} ${c.grey(
+        `${c.red(reason)} ${shortFilepath}`
+      )}`
+    )
+    rebuild.emit('file:removed', { source, output: filepath })
+    recordChange(filepath)
+    removeEmptyDirs(outDir, filepath)
+
+    mirrorPaths.forEach((mirrorPath, i) => {
+      fs.removeSync(mirrorPath)
+      removeEmptyDirs(mirrorDirs[i], mirrorPath)
+    })
+  }
+
+  function removeEmptyDirs(root, filepath) {
+    let dir = path.dirname(filepath)
+    while (
+      dir.startsWith(path.resolve(root) + path.sep) &&
+      fs.existsSync(dir) &&
+      fs.readdirSync(dir).length === 0
+    ) {
+      fs.removeSync(dir)
+      dir = path.dirname(dir)
+    }
+  }
+
+  /*
+    The pauseForking/resumeForking IPC handshake, used by forks which do not
+    declare `ready` checks. Resolves to false if the child paused but did not
+    resume within its readyTimeout.
+  * */
+  function waitForHandshake(child, spec) {
+    const { command } = spec
+    return new Promise(async (resolve) => {
+      let wait = false
+      let timedOut = false
+      let pauseForkingTimeout = null
+      child.on('message', (message) => {
+        if (typeof message === 'object') {
+          if (message.pauseForking) {
+            log(
+              `${c.green('[monitor]')} ${c.yellow(`waiting on`)} ${c.grey(
+                command
+              )}`
+            )
+            wait = true
+            pauseForkingTimeout = setTimeout(() => {
+              timedOut = true
+              wait = false
+            }, spec.readyTimeout)
+          } else if (message.resumeForking) {
+            if (pauseForkingTimeout) clearTimeout(pauseForkingTimeout)
+            pauseForkingTimeout = null
+            wait = false
+            resolve(true)
+          }
+        }
+      })
+      await delay(500) // child has 500ms after spawning to tell parent to pause.
+      while (wait) {
+        await delay(500)
+      }
+      resolve(!timedOut)
+    })
+  }
+
+  /*
+    Starts a fork or spawn process. Resolves once the child has spawned.
+    The execution's `ready` promise resolves once it passes its readiness
+    checks, or right after spawning if it has none.
+  * */
+  async function startChild(spec) {
+    const { command, type, parsed } = spec
+    log(
+      `${c.green('[monitor]')} ${c.yellow(type)} ${c.grey(command)}`
+    )
+    // Output is piped through the process's logger, which also lets
+    // stdout readiness checks read it.
+    const env = getProcessEnv(spec, parsed.env)
+    if (process.stdout.isTTY && env.FORCE_COLOR === undefined) {
+      // Keep colors, which most programs turn off when writing to a pipe.
+      env.FORCE_COLOR = '1'
+    }
+    if (liveReload && env.REBUILD_LIVE_RELOAD === undefined) {
+      // For servers to add the client script to the pages they serve.
+      env.REBUILD_LIVE_RELOAD = liveReload.scriptUrl
+    }
+    const child =
+      type === 'fork'
+        ? fork(parsed.file, parsed.args, {
+            stdio: ['pipe', 'pipe', 'pipe', 'ipc'],
+            cwd: spec.cwd,
+            env,
+            // Its own process group, so that stopping it reaches its subprocesses too.
+            detached: useProcessGroups,
+          })
+        : spawn(parsed.file, parsed.args, {
+            stdio: ['pipe', 'pipe', 'pipe'],
+            cwd: spec.cwd,
+            env,
+            detached: useProcessGroups,
+          })
+    const logger = getLogger(spec)
+    child.stdout.on('data', (chunk) => logger.write('stdout', chunk))
+    child.stderr.on('data', (chunk) => logger.write('stderr', chunk))
+    child.on('exit', () => logger.flush())
+    const execution = watchChild(child, spec)
+
+    await new Promise((resolve, reject) => {
+      child.on('spawn', () => {
+        resolve()
+      })
+      child.on('error', (err) => {
+        reject(err)
+      })
+    })
+
+    if (type === 'fork') {
+      child.on('message', (message) => {
+        if (message && typeof message === 'object' && message.acceptsUpdates) {
+          execution.acceptsUpdates = toArray(message.acceptsUpdates)
+          if (debug) {
+            log(
+              `${c.green('[monitor]')} ${c.grey(
+                `${command} accepts updates to ${execution.acceptsUpdates.join(', ')}`
+              )}`
+            )
+          }
+        }
+      })
+    }
+    const handshake = type === 'fork' ? waitForHandshake(child, spec) : null
+    execution.ready = (
+      spec.ready.length
+        ? waitForReady(child, spec.ready, spec.readyTimeout)
+        : handshake || Promise.resolve(true)
+    ).then((ready) => {
+      execution.isReady = ready
+      if (ready) {
+        if (debug || spec.ready.length) {
+          log(
+            `${c.green('[monitor]')} ${c.yellow(`ready`)} ${c.grey(command)}`
+          )
+        }
+        rebuild.emit('child:ready', { name: spec.name, command, type })
+      } else if (children[spec.name] === execution) {
+        log(
+          `${c.green('[monitor]')} ${c.red(
+            `timeout`
+          )} ${c.grey(`waiting for ${command} to be ready`)}`
+        )
+      }
+      return ready
+    })
+  }
+
+  // Loggers outlive restarts, so that log files stay open.
+  const loggers = {}
+  const nameWidth = Math.max(
+    0,
+    ...processes
+      .filter((spec) => spec.type !== 'exec')
+      .map((spec) => spec.name.length)
+  )
+  function getLogger(spec) {
+    if (!loggers[spec.name]) {
+      loggers[spec.name] = createProcessLogger(
+        spec,
+        processes.indexOf(spec),
+        nameWidth,
+        { prefix: options.prefix !== false, timestamps: !!options.timestamps }
+      )
+    }
+    return loggers[spec.name]
+  }
+
+  function runExec(spec) {
+    const { command } = spec
+    log(
+      `${c.green('[monitor]')} ${c.yellow('exec')} ${c.grey(command)}`
+    )
+    execSync(command, {
+      stdio: ['pipe', process.stdout, process.stderr],
+      cwd: spec.cwd,
+      env: getProcessEnv(spec),
+    })
+  }
+
+  /*
+    Starts each process in `specs` which is not already running, along with
+    any processes they depend on which are not running.
+    A process starts once the processes it depends on are ready. As before
+    `dependsOn` existed, each fork is also waited on before starting the next.
+  * */
+  const makeChildren = async (specs) => {
+    for (const spec of orderByDependencies(specs, processes, children)) {
+      if (children[spec.name]) {
+        // command is already running
+        continue
+      }
+      for (const dep of spec.dependsOn) {
+        if (children[dep]) {
+          await children[dep].ready
+        }
+      }
+      if (stopping) return
+
+      if (spec.type === 'exec') {
+        runExec(spec)
+        continue
+      }
+      try {
+        await startChild(spec)
+      } catch (err) {
+        console.error(err)
+        continue
+      }
+      if (spec.type === 'fork' && children[spec.name]) {
+        await children[spec.name].ready
+      }
+    }
+  }
+
+  function watchChild(child, spec) {
+    const { name, command, type } = spec
+    const stat = stats[name] || { starts: 0 }
+    stats[name] = stat
+    child.on('spawn', () => {
+      stat.starts++
+      rebuild.emit('child:spawn', { name, command, type, pid: child.pid })
+    })
+    child.on('error', () => {
+      // The child could not be spawned, so it will not emit exit.
+      if (child.pid === undefined && children[name] === execution) {
+        delete children[name]
+      }
+    })
+    child.on('exit', (code, signal) => {
+      if (children[name] === execution) {
+        delete children[name]
+      }
+      rebuild.emit('child:exit', { name, command, type, code, signal })
+
+      // Exits caused by stopChild(), like a spawn killed on restart, are not crashes.
+      const failed = code !== 0 && !execution.stopping
+      stat.lastExitCode = code
+      stat.lastExitSignal = signal
+      stat.lastExitFailed = failed
+      if (failed) {
+        crashDetected = true
+        log(
+          `${c.green('[monitor]')} ${c.red('crash')} ${c.grey(command)}`
+        )
+        rebuild.emit('crash', { name, command, type, code, signal })
+      } else {
+        log(`${c.green('[monitor]')} ${c.grey(`exit ${command}`)}`)
+      }
+
+      if (!execution.stopping && !stopping) {
+        scheduleAutoRestart(spec, failed, Date.now() - execution.startedAt)
+      }
+    })
+    const execution = {
+      type,
+      child,
+      command,
+      name,
+      spec,
+      ready: Promise.resolve(false),
+      startedAt: Date.now(),
+    }
+    children[name] = execution
+    return execution
+  }
+
+  /*
+    Asks a child to exit using the cleanup function. If it, or any of its
+    subprocesses, is still running after `wait` ms, its whole process tree is
+    killed with SIGKILL. Resolves once the tree has exited, so that ports are
+    free before the next start.
+    Stopping a child which is already stopping sends the new signal, but keeps
+    the original deadline.
+  * */
+  function stopChild(execution, signal) {
+    const { child } = execution
+    const exited = child.exitCode !== null || child.signalCode
+    if (execution.stopPromise) {
+      if (!exited) {
+        clean(execution, execution.type, signal).catch((err) => {
+          console.error(err)
+        })
+      }
+      return execution.stopPromise
+    }
+    execution.stopping = true
+
+    // Taken before signalling, since subprocesses whose parent exits are
+    // reparented and can no longer be found through it.
+    const descendants = listDescendants(child.pid)
+    const deadline = Date.now() + wait
+    execution.stopPromise = (async () => {
+      if (!exited) {
+        const exit = new Promise((resolve) => child.once('exit', resolve))
+        clean(execution, execution.type, signal).catch((err) => {
+          console.error(err)
+        })
+        const timedOut = await Promise.race([
+          exit.then(() => false),
+          delay(wait).then(() => true),
+        ])
+        if (timedOut) {
+          log(
+            `${c.green('[monitor]')} ${c.grey(`${c.yellow('timeout')} ${signal} ${execution.command}`)}`
+          )
+          signalTree(child, 'SIGKILL')
+          killPids(descendants, 'SIGKILL')
+          await exit
+        }
+      }
+
+      // The child has exited, but its subprocesses may still be shutting down.
+      let survivors = await waitForPids(descendants, deadline)
+      if (survivors.length) {
+        log(
+          `${c.green('[monitor]')} ${c.grey(
+            `${c.yellow('timeout')} SIGKILL ${survivors.join(', ')} ${execution.command}`
+          )}`
+        )
+        killPids(survivors, 'SIGKILL')
+        survivors = await waitForPids(survivors, Date.now() + 1000)
+      }
+      if (survivors.length) {
+        log(
+          `${c.green('[monitor]')} ${c.red(
+            `${survivors.length === 1 ? 'process' : 'processes'} ${survivors.join(', ')} survived`
+          )} ${c.grey(execution.command)}`
+        )
+      }
+    })()
+    return execution.stopPromise
+  }
+
+  /*
+    Applies a process's restart policy after it exited on its own.
+    Automatic restarts back off exponentially. Too many of them within the
+    restart window is a crash loop, and the process stays stopped until a
+    change or a manual restart resets it.
+  * */
+  function scheduleAutoRestart(spec, failed, uptime) {
+    if (spec.restart === 'never' || (spec.restart === 'on-failure' && !failed)) {
+      return
+    }
+
+    const state = autoRestarts[spec.name] || {
+      times: [],
+      attempt: 0,
+      timer: null,
+      gaveUp: false,
+    }
+    autoRestarts[spec.name] = state
+    if (state.gaveUp || state.timer) {
+      return
+    }
+
+    const now = Date.now()
+    if (uptime > spec.restartWindow) {
+      // It ran fine for a while, so this is a new problem.
+      state.attempt = 0
+    }
+    state.times = state.times.filter((time) => now - time < spec.restartWindow)
+    if (state.times.length >= spec.maxRestarts) {
+      state.gaveUp = true
+      log(
+        `${c.green('[monitor]')} ${c.red('crash loop')} ${c.grey(
+          `${spec.command} restarted ${state.times.length} times in ${spec.restartWindow}ms, giving up until next change`
+        )}`
+      )
+      rebuild.emit('crash-loop', { name: spec.name, command: spec.command })
+      return
+    }
+
+    const restartDelay = Math.min(
+      spec.restartDelay * 2 ** state.attempt,
+      spec.maxRestartDelay
+    )
+    state.attempt++
+    state.times.push(now)
+    log(
+      `${c.green('[monitor]')} ${c.yellow('restarting')} ${c.grey(
+        `${spec.command} in ${restartDelay}ms (attempt ${state.attempt})`
+      )}`
+    )
+    state.timer = setTimeout(() => {
+      state.timer = null
+      restartNow([spec], true)
+    }, restartDelay)
+  }
+
+  function resetAutoRestart(name) {
+    const state = autoRestarts[name]
+    if (state && state.timer) {
+      clearTimeout(state.timer)
+    }
+    delete autoRestarts[name]
+  }
+
+  /*
+    Stops the running processes among `specs`, then starts them again.
+    Restarts caused by a change or by restart() (not `auto`) clear the
+    processes' crash loop state.
+  * */
+  async function restartChildren(specs, auto) {
+    if (stopping || specs.length === 0) {
+      return
+    }
+    if (!auto) {
+      for (const spec of specs) {
+        resetAutoRestart(spec.name)
+      }
+    }
+
+    const partial = specs.length < processes.length
+    const names = specs.map((spec) => spec.name)
+    rebuild.emit('restart', { names })
+    const running = specs
+      .map((spec) => children[spec.name])
+      .filter((execution) => !!execution)
+    if (running.length) {
+      // kill child before calling makeChildren
+      log(
+        `${c.green('[monitor]')} ${c.yellow(
+          partial ? `restarting ${names.join(', ')}...` : 'restarting...'
+        )}`
+      )
+      await Promise.all(
+        running.map((execution) => stopChild(execution, 'SIGRES'))
+      )
+    } else if (crashDetected) {
+      log(
+        `${c.green('[monitor]')} ${c.yellow('restarting from crash...')}`
+      )
+    }
+    crashDetected = false
+
+    if (stopping) {
+      return
+    }
+    // all children have stopped
+    await makeChildren(specs)
+  }
+
+  // Restarts are queued, so that a restart requested while children are
+  // still stopping or starting runs after the current one finishes.
+  let restartQueue = Promise.resolve()
+  const restartNow = (specs = processes, auto = false) => {
+    restartQueue = restartQueue
+      .then(() => restartChildren(specs, auto))
+      .catch((err) => {
+        console.error(err)
+      })
+    return restartQueue
+  }
+
+  function recordChange(filepath) {
+    changedOutputs.add(
+      normalizePath(path.relative(process.cwd(), filepath))
+    )
+  }
+
+  /*
+    A process with `restartOn` globs is only affected by changes to outputs
+    matching them. Other processes are affected by any change.
+  * */
+  function isAffected(spec, changes) {
+    if (spec.restartOn.length === 0) {
+      return true
+    }
+    return changes.some((change) =>
+      spec.restartOn.some((glob) => micromatch.isMatch(change, glob))
+    )
+  }
+
+  const restart = debounce(() => {
+    if (!watchersSetup || forceBuilding || updatingDeps) {
+      return
+    }
+    if (Object.keys(failing).length) {
+      // Restarting now would run the last good output of the failing files
+      // alongside new output of the others.
+      printFailing()
+      log(
+        `${c.green('[monitor]')} ${c.yellow('restart paused until transforms succeed')}`
+      )
+      return
+    }
+
+    const changes = [...changedOutputs]
+    changedOutputs.clear()
+    const specs = restartAll
+      ? processes
+      : processes.filter(
+          (spec) => envChanged.has(spec.name) || isAffected(spec, changes)
+        )
+    const updatable = restartAll
+      ? []
+      : specs.filter(
+          (spec) => !envChanged.has(spec.name) && acceptsUpdates(spec, changes)
+        )
+    restartAll = false
+    envChanged.clear()
+    if (specs.length === 0) {
+      if (debug) {
+        log(
+          `${c.green('[monitor]')} ${c.grey('no processes affected by changes')}`
+        )
+      }
+      reloadBrowsers(changes, specs, null)
+      return
+    }
+    const restarting = specs.filter((spec) => !updatable.includes(spec))
+    const done = Promise.all([
+      restarting.length ? restartNow(restarting) : null,
+      ...updatable.map(async (spec) => {
+        const outputs = changes.filter((change) => isAffected(spec, [change]))
+        if (!(await updateChild(children[spec.name], outputs))) {
+          await restartNow([spec])
+        }
+      }),
+    ])
+    reloadBrowsers(changes, specs, done)
+  }, 300)
+
+  /*
+    Whether the running fork of `spec` asked for updates, with
+    `process.send({acceptsUpdates: [globs]})`, to every change affecting it.
+  * */
+  function acceptsUpdates(spec, changes) {
+    const execution = children[spec.name]
+    if (!execution || !execution.acceptsUpdates || execution.stopping) {
+      return false
+    }
+    const affecting = changes.filter((change) => isAffected(spec, [change]))
+    return (
+      affecting.length > 0 &&
+      affecting.every((change) =>
+        execution.acceptsUpdates.some((glob) => micromatch.isMatch(change, glob))
+      )
+    )
+  }
+
+  /*
+    Sends {updates, updateId} to a fork, where `updates` are the absolute
+    paths of the changed outputs, instead of restarting it. Resolves to false
+    if the fork exits, or does not reply with {updated: updateId} within
+    `wait` ms, so that it is restarted instead.
+  * */
+  let lastUpdateId = 0
+  function updateChild(execution, outputs) {
+    const { child, command, name, type } = execution
+    const updateId = ++lastUpdateId
+    log(
+      `${c.green('[monitor]')} ${c.yellow('updating')} ${c.grey(
+        `${command} (${outputs.length} ${outputs.length === 1 ? 'file' : 'files'})`
+      )}`
+    )
+    return new Promise((resolve) => {
+      const finish = (updated) => {
+        clearTimeout(timer)
+        child.off('message', onMessage)
+        child.off('exit', onExit)
+        if (updated) {
+          rebuild.emit('child:updated', { name, command, type, outputs })
+        } else if (!stopping) {
+          log(
+            `${c.green('[monitor]')} ${c.grey(
+              `${c.yellow('timeout')} update ${command}, restarting instead`
+            )}`
+          )
+        }
+        resolve(updated)
+      }
+      const onMessage = (message) => {
+        if (message && typeof message === 'object' && message.updated === updateId) {
+          finish(true)
+        }
+      }
+      const onExit = () => finish(false)
+      const timer = setTimeout(() => finish(false), wait)
+      child.on('message', onMessage)
+      child.on('exit', onExit)
+      try {
+        child.send({
+          updates: outputs.map((output) => path.resolve(output)),
+          updateId,
+        })
+      } catch (err) {
+        finish(false)
+      }
+    })
+  }
+
+  /*
+    Tells the browsers connected to the live reload server to reload once
+    `restarted` resolves and the restarted processes are ready, so that a page
+    does not reload into a server which is still starting. When only
+    stylesheets changed, they are swapped in place instead.
+  * */
+  async function reloadBrowsers(changes, specs, restarted) {
+    if (!liveReload || (!restarted && changes.length === 0)) return
+    const onlyCss = changes.length > 0 && changes.every((change) => change.endsWith('.css'))
+    const type = onlyCss ? 'css' : 'full'
+    if (restarted) {
+      await restarted
+      const started = specs
+        .filter((spec) => spec.type !== 'exec')
+        .map((spec) => children[spec.name])
+      const ready = await Promise.all(
+        started.map((execution) => execution && execution.ready)
+      )
+      if (stopping || !liveReload) return
+      if (ready.includes(false) || ready.includes(undefined)) {
+        log(
+          `${c.green('[monitor]')} ${c.yellow('not reloading browsers')} ${c.grey(
+            'since a process is not ready'
+          )}`
+        )
+        return
+      }
+    }
+
+    const count = type === 'css' ? liveReload.reloadCss(changes) : liveReload.reload(changes)
+    if (count > 0) {
+      log(
+        `${c.green('[monitor]')} ${c.grey(
+          `${c.magenta(type === 'css' ? 'swapping css' : 'reloading')} ${count} ${
+            count === 1 ? 'browser' : 'browsers'
+          }`
+        )}`
+      )
+    }
+    rebuild.emit('reload', { type, outputs: changes })
+  }
+
+  function reportTransformError(f, err) {
+    failing[f] = err
+    const details = String((err && err.stack) || err)
+      .split('\n')
+      .map((line) => `    ${line}`)
+      .join('\n')
+    log(
+      `${c.green('[monitor]')} ${c.red('transform failed')} ${c.bold(f)}\n${c.red(details)}`
+    )
+    rebuild.emit('file:failed', { source: f, error: err })
+  }
+
+  function printFailing() {
+    const files = Object.keys(failing).sort()
+    if (files.length === 0) return
+    log(
+      `${c.green('[monitor]')} ${c.red(
+        `${files.length} ${files.length === 1 ? 'file' : 'files'} failing to transform:`
+      )}\n${files.map((f) => `    ${c.grey(f)}`).join('\n')}`
+    )
+  }
+
+  function getOutDirPath(filepath) {
+    return path.resolve(outDir, getOutputRelativePath(watchRoots, filepath))
+  }
+
+  /*
+    Files whose contents, transformer and output path all match the build
+    manifest are skipped when `cached` is true.
+    Only the initial build passes `cached`, so saving a file while watching
+    always triggers a rebuild and restart.
+  * */
+  async function pass(f, cached) {
+    f = normalizePath(f)
+    const isNodeModule = f.includes('node_modules')
+    const originalPath = path.resolve(f)
+    const filepath = getOutDirPath(f)
+
+    const shortFilepath = path.relative(process.cwd(), filepath)
+    const lstat = fs.lstatSync(originalPath)
+    if (lstat.isSymbolicLink() && symlinkMode === 'preserve') {
+      await passSymlink(f, originalPath, filepath, cached)
+      return
+    }
+    // Otherwise a symlink is copied as what it points to. The watcher already
+    // lists the contents of a symlinked dir under the symlink's path.
+    const stat = lstat.isSymbolicLink()
+      ? fs.statSync(originalPath, { throwIfNoEntry: false })
+      : lstat
+    if (!stat) {
+      log(
+        `${c.green('[monitor]')} ${c.yellow('skipping broken symlink')} ${c.grey(f)}`
+      )
+      return
+    }
+    const isDir = stat.isDirectory()
+    const chain = getTransformerChain(transformerRules, f)
+    const shouldTransform = chain.length > 0
+    const shouldLog = debug || (!isNodeModule && !isDir)
+
+    if (isDir) {
+      if (!fs.existsSync(filepath)) {
+        if (shouldLog) {
+          log(
+            `${c.green('[monitor]')} ${c.grey(`ensuring dir ${shortFilepath}`)}`
+          )
+        }
+        fs.ensureDirSync(filepath)
+      }
+      for (const mirrorPath of getMirrorPaths(filepath)) {
+        fs.ensureDirSync(mirrorPath)
+      }
+      return
+    }
+
+    const contents = fs.readFileSync(originalPath)
+    const entry = {
+      hash: hashContents(contents),
+      transformer: getChainHash(chain),
+      outputs: [],
+    }
+    const previous = manifest.files[f]
+    if (cached && isUpToDate(previous, entry, filepath)) {
+      if (debug) {
+        log(
+          `${c.green('[monitor]')} ${c.grey(`unchanged ${f}`)}`
+        )
+      }
+      return
+    }
+
+    if (shouldTransform) {
+      if (shouldLog) {
+        log(
+          `${c.green('[monitor]')} ${c.grey(
+            `${c.blueBright('transpiling')} ${f} ${c.dim(
+              chain.map((step) => step.name).join(' -> ')
+            )}`
+          )}`
+        )
+      }
+      let outputs
+      try {
+        const result = await runChain(
+          chain,
+          originalPath,
+          filepath,
+          contents.toString('utf8')
+        )
+        outputs = result.outputs
+        if (result.dependencies.length) {
+          entry.dependencies = hashDependencies(result.dependencies)
+        }
+      } catch (err) {
+        // The last good output is kept, and the manifest entry is left as is,
+        // so that the file is transformed again on the next startup.
+        reportTransformError(f, err)
+        restart()
+        return
+      }
+      if (failing[f]) {
+        delete failing[f]
+        log(
+          `${c.green('[monitor]')} ${c.green('fixed')} ${c.grey(f)}`
+        )
+      }
+      try {
+        for (const output of outputs) {
+          await fs.outputFile(output.path, output.contents)
+          await mirrorOutput(output.path)
+          entry.outputs.push(toOutDirRelative(output.path))
+          recordChange(output.path)
+        }
+        // Outputs from the previous transform which were not produced this
+        // time, like a renamed file or a side file which is no longer emitted.
+        for (const output of previous ? previous.outputs : []) {
+          if (!entry.outputs.includes(output)) {
+            removeOutput(f, path.resolve(outDir, output))
+          }
+        }
+        manifest.files[f] = entry
+        setDependencies(f, entry.dependencies)
+        manifest.saveLater()
+        if (outputs.length) {
+          rebuild.emit('file:transformed', {
+            source: f,
+            output: outputs[0].path,
+            outputs: outputs.map((output) => output.path),
+          })
+        } else {
+          if (shouldLog) {
+            log(
+              `${c.green('[monitor]')} ${c.grey(`skipped ${f}`)}`
+            )
+          }
+          rebuild.emit('file:skipped', { source: f })
+        }
+      } catch (err) {
+        console.error(err)
+      }
+      restart()
+    } else {
+      if (shouldLog) {
+        log(
+          `${c.green('[monitor]')} ${c.grey(`${c.blue('copying')} ${f}`)}`
+        )
+      }
+      try {
+        // The parent dir may not exist yet, since files are built concurrently.
+        await fs.ensureDir(path.dirname(filepath))
+        await fs.copyFile(originalPath, filepath)
+        await mirrorOutput(filepath)
+        entry.outputs.push(toOutDirRelative(filepath))
+        recordChange(filepath)
+        // The previous output, from before the output mapping changed.
+        for (const output of previous ? previous.outputs : []) {
+          if (!entry.outputs.includes(output)) {
+            removeOutput(f, path.resolve(outDir, output))
+          }
+        }
+        manifest.files[f] = entry
+        manifest.saveLater()
+        rebuild.emit('file:copied', { source: f, output: filepath })
+      } catch (err) {
+        console.error(err)
+      }
+      restart()
+    }
+  }
+
+  /*
+    Writes a symlink to the output for the symlink `f`, with --symlinks preserve.
+    Its manifest entry hashes the output's target instead of contents.
+  * */
+  async function passSymlink(f, originalPath, filepath, cached) {
+    const { target, entry } = getLinkEntry(originalPath, filepath)
+    if (cached && isLinkUpToDate(manifest.files[f], entry, filepath)) {
+      return
+    }
+    if (debug || !f.includes('node_modules')) {
+      log(
+        `${c.green('[monitor]')} ${c.grey(`${c.blue('linking')} ${f} -> ${target}`)}`
+      )
+    }
+    try {
+      await fs.remove(filepath)
+      await fs.ensureDir(path.dirname(filepath))
+      const isDir = fs.statSync(originalPath, { throwIfNoEntry: false })?.isDirectory()
+      await fs.promises.symlink(target, filepath, isDir ? 'dir' : 'file')
+      await mirrorOutput(filepath)
+      recordChange(filepath)
+      manifest.files[f] = entry
+      manifest.saveLater()
+      rebuild.emit('file:linked', { source: f, output: filepath, target })
+    } catch (err) {
+      console.error(err)
+    }
+    restart()
+  }
+
+  function getLinkEntry(originalPath, filepath) {
+    const target = getOutputLinkTarget(originalPath, filepath, watchDirs, getOutDirPath)
+    const entry = {
+      hash: hashContents(target),
+      transformer: null,
+      outputs: [toOutDirRelative(filepath)],
+    }
+    return { target, entry }
+  }
+
+  function isLinkUpToDate(previous, entry, filepath) {
+    return (
+      !!previous &&
+      manifest.getMapping() === mappingKey &&
+      previous.hash === entry.hash &&
+      previous.outputs[0] === entry.outputs[0] &&
+      [filepath, ...getMirrorPaths(filepath)].every(
+        (linkPath) => !!fs.lstatSync(linkPath, { throwIfNoEntry: false })?.isSymbolicLink()
+      )
+    )
+  }
+
+  // Whether the manifest entry of a file still matches its new `entry`.
+  function isUpToDate(previous, entry, filepath) {
+    return (
+      !!previous &&
+      manifest.getMapping() === mappingKey &&
+      previous.hash === entry.hash &&
+      previous.transformer === entry.transformer &&
+      (entry.transformer !== null || previous.outputs[0] === toOutDirRelative(filepath)) &&
+      dependenciesUnchanged(previous) &&
+      previous.outputs.every((output) => {
+        const outputPath = path.resolve(outDir, output)
+        return [outputPath, ...getMirrorPaths(outputPath)].every((p) => fs.existsSync(p))
+      })
+    )
+  }
+
+  /*
+    Why the watcher skips a file, or null when it does not.
+  * */
+  function getIgnoreReason(file) {
+    if (file.endsWith('~')) {
+      // file is temp file
+      return null
+    }
+
+    const isNodeModule = file.includes('node_modules')
+    if (isNodeModule && !isProdDepPath(prodDeps, file)) {
+      // Only prod deps are copied, under the assumption that the output
+      // is deployed, for example as a --bundle.
+      return explainProdDepPath(prodDeps, normalizePath(file))
+    }
+    // Like `--watch . --output build`, which would otherwise copy its own output.
+    const absolute = path.resolve(file)
+    if (outDirs.some((dir) => absolute === path.resolve(dir) || absolute.startsWith(path.resolve(dir) + path.sep))) {
+      return 'inside an output dir'
+    }
+    if (symlinkMode === 'dereference' && isSymlinkCycle(file)) {
+      const source = normalizePath(file)
+      if (!reportedCycles[source]) {
+        reportedCycles[source] = true
+        log(
+          `${c.green('[monitor]')} ${c.yellow('skipping symlink cycle')} ${c.grey(
+            `${source} -> ${fs.readlinkSync(file)}`
+          )}`
+        )
+      }
+      return 'symlink to a dir containing it'
+    }
+    return null
+  }
+  const reportedCycles = {}
+
+  // Errors from watcher events have nowhere else to go.
+  const passAndReport = (f) => {
+    pass(f).catch((err) => {
+      rebuild.emit('error', err)
+    })
+  }
+
+  /*
+    Visits every file in `dir`, passing each one to the output.
+    If `keepWatching`, the watcher stays open and changes are passed as well.
+    Returns the files which were found.
+  * */
+  async function buildDir(dir, keepWatching, cached) {
+    const watcher = chokidar.watch(dir, {
+      ignored: (file) => getIgnoreReason(file) !== null,
+      // Symlinked dirs, like linked packages, are watched through the symlink.
+      followSymlinks: symlinkMode === 'dereference',
+    })
+    watchers.push(watcher)
+    const files = await new Promise((resolve) => {
+      watcher.on('ready', () => {
+        const watched = watcher.getWatched()
+        const files = flattenChokidarWatched(dir, watched)
+        resolve(files)
+      })
+    })
+
+    // Files are passed concurrently. The first restart still waits for the
+    // whole batch, since restart() does nothing until watchersSetup.
+    const limit = createLimit(concurrency)
+    await Promise.all(
+      files.map((key) =>
+        limit(async () => {
+          if (stopping) return
+          if (debug) {
+            log(
+              `${c.green('[monitor]')} ${c.grey(`found ${key}`)}`
+            )
+          }
+          await pass(key, cached)
+          restart()
+        })
+      )
+    )
+
+    if (!keepWatching) {
+      await watcher.close()
+      watchers = watchers.filter((w) => w !== watcher)
+    } else {
+      watcher.on('add', passAndReport)
+      watcher.on('addDir', passAndReport)
+      watcher.on('change', passAndReport)
+      watcher.on('unlink', f => {
+        const source = normalizePath(f)
+        const entry = manifest.files[source]
+        const outputs = entry
+          ? entry.outputs.map((output) => path.resolve(outDir, output))
+          : [getOutDirPath(f)]
+        for (const filepath of outputs) {
+          removeOutput(source, filepath)
+        }
+        delete manifest.files[source]
+        delete failing[source]
+        setDependencies(source)
+        manifest.saveLater()
+        restart()
+      })
+      watcher.on('unlinkDir', f => {
+        const filepath = getOutDirPath(f)
+        fs.removeSync(filepath)
+        for (const mirrorPath of getMirrorPaths(filepath)) {
+          fs.removeSync(mirrorPath)
+        }
+        const shortFilepath = path.relative(process.cwd(), filepath)
+        if (debug) {
+          log(
+            `${c.green('[monitor]')} ${c.grey(
+              `removed dir ${shortFilepath}`
+            )}`
+          )
+        }
+      })
+    }
+    return files
+  }
+
+  /*
+    Visits every watch dir, then prunes orphaned outputs.
+    Pruning only happens once every watch dir has been visited, since the
+    manifest covers all of them.
+  * */
+  async function buildAll(keepWatching, cached = useCache) {
+    buildsRunning++
+    try {
+      // fs.removeSync(outDir) do not delete the dir to allow multiple concurrent rebuild-aio commands to add to the same output dir.
+      for (const dir of outDirs) {
+        fs.ensureDirSync(dir)
+      }
+      const foundFiles = {}
+      for (const dir of watchDirs) {
+        if (keepWatching) {
+          log(
+            `${c.green('[monitor]')} ${c.grey(`${c.yellow('watching')} ${dir}`)}`
+          )
+        } else {
+          log(
+            `${c.green('[monitor]')} ${c.grey(
+              `${c.yellow('building')} ${dir} -> ${outDirs.join(', ')}`
+            )}`
+          )
+        }
+        const files = await buildDir(dir, keepWatching, cached)
+        for (const key of files) {
+          foundFiles[normalizePath(key)] = true
+        }
+        if (!keepWatching) {
+          log(
+            `${c.green('[monitor]')} ${c.grey(
+              `${c.yellow('built')} ${dir} -> ${outDirs.join(', ')}`
+            )}`
+          )
+        }
+      }
+      if (!stopping) {
+        pruneOrphans(foundFiles)
+        if (Object.keys(failing).length === 0) {
+          // Every file now matches the current output mapping.
+          manifest.setMapping(mappingKey)
+        }
+      }
+      if (!keepWatching && !watchersSetup) {
+        // While watching, the summary is printed by restart() instead.
+        printFailing()
+      }
+      manifest.saveLater.cancel()
+      manifest.save()
+    } finally {
+      buildsRunning--
+    }
+  }
+
+  async function build() {
+    await setup()
+    try {
+      await buildAll(false)
+    } finally {
+      await closeWorkerPool()
+    }
+    const failed = Object.keys(failing).length
+    if (failed) {
+      throw new Error(
+        `${failed} ${failed === 1 ? 'file' : 'files'} failed to transform.`
+      )
+    }
+  }
+
+  /*
+    Visits every watch dir like build() does, but only describes what would
+    happen to each file, without running transformers or writing anything.
+    Resolves with a list of {source, action, output, reason, cached}, sorted
+    by source, where action is one of 'transform', 'copy', 'ensure dir',
+    'link', 'ignored' or 'remove'. `output` is relative to the cwd, and is where the
+    transformer is given to write when it has not run before, since it may
+    choose other paths. `cached` means the file is unchanged since the last
+    build, so it would be skipped.
+  * */
+  async function plan() {
+    await setup()
+    const planned = {}
+    const add = (entry) => {
+      planned[entry.source] = entry
+    }
+    const shortPath = (filepath) => normalizePath(path.relative(process.cwd(), filepath))
+    const outputPaths = (filepath) =>
+      [filepath, ...getMirrorPaths(filepath)].map(shortPath).join(', ')
+
+    for (const dir of watchDirs) {
+      const watcher = chokidar.watch(dir, {
+        ignored: (file) => {
+          const reason = getIgnoreReason(file)
+          if (reason !== null) {
+            const source = normalizePath(file)
+            add({ source, action: 'ignored', output: null, reason, cached: false })
+          }
+          return reason !== null
+        },
+        followSymlinks: symlinkMode === 'dereference',
+      })
+      const files = await new Promise((resolve) => {
+        watcher.on('ready', () => {
+          resolve(flattenChokidarWatched(dir, watcher.getWatched()))
+        })
+      })
+      await watcher.close()
+
+      for (const key of files) {
+        const f = normalizePath(key)
+        const originalPath = path.resolve(f)
+        const filepath = getOutDirPath(f)
+        const isNodeModule = f.includes('node_modules')
+        const lstat = fs.lstatSync(originalPath, { throwIfNoEntry: false })
+        if (!lstat) continue
+        const isSymlink = lstat.isSymbolicLink()
+        if (isSymlink && symlinkMode === 'preserve') {
+          const { target, entry } = getLinkEntry(originalPath, filepath)
+          add({
+            source: f,
+            action: 'link',
+            output: outputPaths(filepath),
+            reason: [`symlink to ${target}`, isNodeModule && explainProdDepPath(prodDeps, f)]
+              .filter(Boolean)
+              .join('; '),
+            cached: useCache && isLinkUpToDate(manifest.files[f], entry, filepath),
+          })
+          continue
+        }
+        const stat = isSymlink
+          ? fs.statSync(originalPath, { throwIfNoEntry: false })
+          : lstat
+        if (!stat) {
+          add({ source: f, action: 'ignored', output: null, reason: 'broken symlink', cached: false })
+          continue
+        }
+        if (stat.isDirectory()) {
+          add({
+            source: f,
+            action: 'ensure dir',
+            output: outputPaths(filepath),
+            reason: isNodeModule
+              ? explainProdDepPath(prodDeps, f)
+              : isSymlink
+                ? 'symlink to a dir, copied as a dir'
+                : 'directory',
+            cached: fs.existsSync(filepath),
+          })
+          continue
+        }
+
+        const chain = getTransformerChain(transformerRules, f)
+        const entry = {
+          hash: hashContents(fs.readFileSync(originalPath)),
+          transformer: getChainHash(chain),
+          outputs: [],
+        }
+        const previous = manifest.files[f]
+        const cached = useCache && isUpToDate(previous, entry, filepath)
+        add({
+          source: f,
+          action: chain.length ? 'transform' : 'copy',
+          output: cached
+            ? previous.outputs.map((output) => outputPaths(path.resolve(outDir, output))).join(', ')
+            : outputPaths(filepath),
+          reason: [
+            chain.length
+              ? explainTransformerChain(transformerRules, f)
+              : !isNodeModule && 'no transformer matches',
+            isNodeModule && explainProdDepPath(prodDeps, f),
+          ]
+            .filter(Boolean)
+            .join('; '),
+          cached,
+        })
+      }
+    }
+
+    // The outputs which buildAll() would prune.
+    const ownedByOthers = manifest.getOutputsOwnedByOthers()
+    for (const [source, entry] of ownedByOthers ? Object.entries(manifest.files) : []) {
+      if (planned[source] && planned[source].action !== 'ignored') continue
+      const outputs = entry.outputs.filter((output) => !ownedByOthers[output])
+      if (!outputs.length) continue
+      add({
+        source,
+        action: 'remove',
+        output: outputs.map((output) => outputPaths(path.resolve(outDir, output))).join(', '),
+        reason: planned[source]
+          ? `output of a file which is now ignored, ${planned[source].reason}`
+          : 'output of a file which no longer exists',
+        cached: false,
+      })
+    }
+
+    return Object.values(planned).sort((a, b) =>
+      a.source < b.source ? -1 : a.source > b.source ? 1 : 0
+    )
+  }
+
+  /*
+    Finds the prod deps again, after a package.json or lockfile changed.
+    Newly required packages are copied and watched, and the outputs of
+    packages which are no longer required are removed.
+    Restarts are held back from the first change to a dependency file until
+    this is done, so that the processes restart once.
+  * */
+  let updatingDeps = false
+  async function updateProdDeps() {
+    try {
+      await applyProdDeps()
+    } finally {
+      updatingDeps = false
+    }
+    restart()
+  }
+
+  async function applyProdDeps() {
+    let next
+    try {
+      next = await getProdDeps(watchDirs)
+    } catch (err) {
+      // Likely an install which is still running.
+      log(
+        `${c.green('[monitor]')} ${c.red('could not update prod deps:')} ${c.grey(err.message)}`
+      )
+      return
+    }
+    if (stopping) {
+      return
+    }
+    const previous = prodDeps
+    const added = Object.keys(next.packages).filter((p) => !previous.packages[p])
+    const removed = Object.keys(previous.packages).filter((p) => !next.packages[p])
+    const addedPaths = Object.keys(next.paths).filter((p) => !previous.paths[p])
+    if (added.length === 0 && removed.length === 0 && addedPaths.length === 0) {
+      if (debug) {
+        log(`${c.green('[monitor]')} ${c.grey('prod deps unchanged')}`)
+      }
+      prodDeps = next
+      return
+    }
+
+    log(
+      `${c.green('[monitor]')} ${c.yellow('prod deps changed')} ${c.grey(
+        `${added.length} added, ${removed.length} removed`
+      )}`
+    )
+    prodDeps = next
+    for (const packagePath of removed) {
+      for (const watcher of watchers) {
+        watcher.unwatch(packagePath)
+      }
+    }
+    for (const [source, entry] of Object.entries(manifest.files)) {
+      if (source.includes('node_modules') && !isProdDepPath(prodDeps, source)) {
+        for (const output of entry.outputs) {
+          removeOutput(source, path.resolve(outDir, output))
+        }
+        delete manifest.files[source]
+      }
+    }
+
+    // Nested packages are visited along with the package they are in.
+    const roots = added.filter(
+      (p) => !added.some((other) => p.startsWith(`${other}/`))
+    )
+    for (const packagePath of roots) {
+      if (fs.existsSync(packagePath)) {
+        await buildDir(packagePath, true, useCache)
+      }
+    }
+    for (const filepath of addedPaths) {
+      // Executables in node_modules/.bin. Dirs are visited by buildDir().
+      if (fs.statSync(filepath, { throwIfNoEntry: false })?.isFile()) {
+        await pass(filepath, useCache)
+      }
+    }
+    manifest.saveLater()
+  }
+
+  // An install writes many files, so the prod deps are updated once it settles.
+  let prodDepsQueue = Promise.resolve()
+  const scheduleProdDepsUpdate = debounce(() => {
+    prodDepsQueue = prodDepsQueue.then(updateProdDeps).catch((err) => {
+      console.error(err)
+    })
+  }, 1500)
+
+  const packageFiles = [
+    'package.json',
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'node_modules/.package-lock.json',
+    'node_modules/.modules.yaml',
+    'node_modules/.yarn-integrity',
+  ]
+  function watchPackageFiles() {
+    const watcher = chokidar.watch(
+      watchDirs.flatMap((dir) => packageFiles.map((file) => `${dir}/${file}`)),
+      { ignoreInitial: true }
+    )
+    watchers.push(watcher)
+    const onChange = (file) => {
+      if (debug) {
+        log(`${c.green('[monitor]')} ${c.grey(`dependencies changed ${file}`)}`)
+      }
+      updatingDeps = true
+      scheduleProdDepsUpdate()
+    }
+    watcher.on('add', onChange)
+    watcher.on('change', onChange)
+    watcher.on('unlink', onChange)
+  }
+
+  /*
+    Restarts only the processes whose env files changed. While transforms
+    are failing, they stay in `envChanged` and restart() picks them up.
+  * */
+  const restartForEnv = debounce(() => {
+    if (forceBuilding || envChanged.size === 0) {
+      return
+    }
+    if (Object.keys(failing).length) {
+      log(
+        `${c.green('[monitor]')} ${c.yellow('restart paused until transforms succeed')}`
+      )
+      return
+    }
+    const specs = processes.filter((spec) => envChanged.has(spec.name))
+    envChanged.clear()
+    restartNow(specs)
+  }, 300)
+
+  function watchEnvFiles() {
+    const files = [
+      ...new Set(
+        processes.flatMap((spec) => spec.envFile.map((file) => path.resolve(file)))
+      ),
+    ]
+    if (files.length === 0) {
+      return
+    }
+    const watcher = chokidar.watch(files, { ignoreInitial: true })
+    watchers.push(watcher)
+    const onChange = (file) => {
+      log(
+        `${c.green('[monitor]')} ${c.grey(
+          `${c.yellow('env file changed')} ${path.relative(process.cwd(), file)}`
+        )}`
+      )
+      for (const spec of processes) {
+        if (spec.envFile.some((envFile) => path.resolve(envFile) === path.resolve(file))) {
+          envChanged.add(spec.name)
+        }
+      }
+      restartForEnv()
+    }
+    watcher.on('add', onChange)
+    watcher.on('change', onChange)
+    watcher.on('unlink', onChange)
+  }
+
+  /*
+    Builds once, like build(), then zips the outputs into `zipPath` and logs
+    a size report. Resolves with the report.
+  * */
+  async function bundle(zipPath, { maxRows = 20 } = {}) {
+    await build()
+    const report = await createBundle(zipPath, outDir, manifest.files)
+    log(
+      `${c.green('[monitor]')} ${c.grey(
+        `${c.yellow('bundled')} ${report.files} files, ${formatSize(report.size)} -> ${formatSize(
+          report.compressedSize
+        )} ${path.relative(process.cwd(), path.resolve(zipPath))}`
+      )}`
+    )
+    for (const [title, rows] of [
+      ['PACKAGE', report.packages],
+      ['DEPENDENCY', report.dependencies],
+    ]) {
+      if (rows.length === 0) continue
+      const [header, ...lines] = formatSizeTable(title, rows.slice(0, maxRows))
+      log('')
+      log(c.grey(header))
+      lines.forEach((line) => log(line))
+      if (rows.length > maxRows) {
+        log(c.grey(`...and ${rows.length - maxRows} more`))
+      }
+    }
+    return report
+  }
+
+  async function start() {
+    await setup()
+    if (options.liveReload) {
+      const port = options.liveReload === true ? defaultLiveReloadPort : Number(options.liveReload)
+      liveReload = await createLiveReloadServer(port)
+      log(
+        `${c.green('[monitor]')} ${c.grey(`${c.yellow('live reload')} ${liveReload.scriptUrl}`)}`
+      )
+    }
+    await buildAll(true)
+    if (stopping) {
+      return
+    }
+    watchEnvFiles()
+    watchPackageFiles()
+    watchTransformDependencies()
+    watchersSetup = true
+    restart()
+  }
+
+  /*
+    Transforms and copies every file again, ignoring the build cache, then
+    restarts every process. The existing watchers keep running.
+  * */
+  let forceBuilding = null
+  function forceBuild() {
+    if (!forceBuilding) {
+      forceBuilding = (async () => {
+        await setup()
+        log(`${c.green('[monitor]')} ${c.yellow('rebuilding everything...')}`)
+        await buildAll(false, false)
+      })().finally(async () => {
+        forceBuilding = null
+        if (watchersSetup) {
+          restartAll = true
+          restart()
+        } else {
+          await closeWorkerPool()
+        }
+      })
+    }
+    return forceBuilding
+  }
+
+  /*
+    Returns the state of the build and of each fork and spawn process.
+  * */
+  function status() {
+    const now = Date.now()
+    return {
+      watching: watchersSetup && !stopping,
+      building: buildsRunning > 0 || updatingDeps,
+      failing: Object.keys(failing).sort(),
+      processes: processes
+        .filter((spec) => spec.type !== 'exec')
+        .map((spec) => {
+          const execution = children[spec.name]
+          const stat = stats[spec.name] || { starts: 0 }
+          const autoRestart = autoRestarts[spec.name]
+          let state = 'not started'
+          if (execution) {
+            state = execution.isReady ? 'running' : 'starting'
+          } else if (autoRestart && autoRestart.gaveUp) {
+            state = 'crash loop'
+          } else if (autoRestart && autoRestart.timer) {
+            state = 'restarting'
+          } else if (stat.starts) {
+            state = stat.lastExitFailed ? 'crashed' : 'exited'
+          }
+          return {
+            name: spec.name,
+            type: spec.type,
+            command: spec.command,
+            status: state,
+            pid: execution ? execution.child.pid : null,
+            uptime: execution ? now - execution.startedAt : null,
+            restarts: Math.max(0, stat.starts - 1),
+            lastExitCode: stat.lastExitCode === undefined ? null : stat.lastExitCode,
+            lastExitSignal: stat.lastExitSignal || null,
+          }
+        }),
+    }
+  }
+
+  let stopPromise = null
+  function stop() {
+    if (!stopPromise) {
+      stopPromise = (async () => {
+        stopping = true
+        restart.cancel()
+        restartForEnv.cancel()
+        scheduleProdDepsUpdate.cancel()
+        // An update which is copying packages finishes first, but one which
+        // is stuck must not keep rebuild from stopping.
+        await Promise.race([prodDepsQueue, delay(wait)])
+        for (const name of Object.keys(autoRestarts)) {
+          resetAutoRestart(name)
+        }
+
+        for (const watcher of watchers) {
+          await watcher.close()
+        }
+        watchers = []
+        await closeWorkerPool()
+        if (liveReload) {
+          await liveReload.close()
+          liveReload = null
+        }
+
+        await Promise.all(
+          Object.values(children).map((execution) =>
+            stopChild(execution, 'SIGINT')
+          )
+        )
+
+        if (manifest) {
+          manifest.saveLater.cancel()
+          manifest.save()
+          pruneOrphans()
+        }
+
+        for (const port of killPorts) {
+          log(`${c.green('[monitor]')} ${c.grey(`killed port ${port}`)}`)
+          await kill(port)
+        }
+
+        for (const logger of Object.values(loggers)) {
+          logger.close()
+        }
+
+        log(`${c.green('[monitor]')} ${c.red('stopped')}`)
+        rebuild.emit('stop')
+      })()
+    }
+    return stopPromise
+  }
+
+  return Object.assign(rebuild, {
+    build,
+    start,
+    stop,
+    forceBuild,
+    bundle,
+    plan,
+    status,
+    setDebug: (value) => {
+      debug = !!value
+    },
+    isDebug: () => !!debug,
+    restart: (names) => {
+      let specs = processes
+      if (names) {
+        names = toArray(names)
+        for (const name of names) {
+          if (!processes.find((spec) => spec.name === name)) {
+            throw new Error(`There is no process named ${name}.`)
+          }
+        }
+        specs = processes.filter((spec) => names.includes(spec.name))
+      } else {
+        restart.cancel()
+      }
+      return restartNow(specs)
+    },
+  })
+}
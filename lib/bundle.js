@@ -0,0 +1,99 @@
+import path from 'path'
+import { writeZip } from './zip.js'
+
+/*
+  Zips the outputs recorded in the build manifest. Only prod deps ever reach
+  the output, so the archive is ready to deploy.
+  Paths inside the archive are relative to outDir, and sorted, so that the
+  archive is the same on every machine for the same outputs.
+  Resolves with a size report:
+  {files, size, compressedSize, packages, dependencies}, where packages and
+  dependencies are lists of {name, files, size, compressedSize}, largest first.
+* */
+export async function createBundle(zipPath, outDir, manifestFiles) {
+  const names = new Set()
+  for (const entry of Object.values(manifestFiles)) {
+    for (const output of entry.outputs) {
+      names.add(output)
+    }
+  }
+  const entries = [...names]
+    // Compared by code unit, since localeCompare depends on the machine's locale.
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+    .map((name) => ({ name, path: path.resolve(outDir, name) }))
+  const written = await writeZip(zipPath, entries)
+  return summarize(written)
+}
+
+/*
+  A package is a directory outside node_modules which has a package.json,
+  like each project in a monorepo. Files belong to the deepest one above
+  them, including the files of their dependencies.
+  A dependency is a node_modules/<name> or node_modules/@scope/<name>
+  directory. Files of nested node_modules belong to the nested dependency.
+* */
+function summarize(written) {
+  const packageDirs = written
+    .map((entry) => entry.name)
+    .filter((name) => !name.includes('node_modules/') && path.posix.basename(name) === 'package.json')
+    .map((name) => path.posix.dirname(name))
+
+  const packages = {}
+  const dependencies = {}
+  const add = (totals, name, entry) => {
+    const total = totals[name] || { name, files: 0, size: 0, compressedSize: 0 }
+    totals[name] = total
+    total.files++
+    total.size += entry.size
+    total.compressedSize += entry.compressedSize
+  }
+  for (const entry of written) {
+    const packageDir = packageDirs
+      .filter((dir) => dir === '.' || entry.name.startsWith(dir + '/'))
+      .sort((a, b) => b.length - a.length)[0]
+    add(packages, packageDir || '.', entry)
+    const match = entry.name.match(/^(.*node_modules\/(?:@[^/]+\/)?[^/]+)\//)
+    if (match) {
+      add(dependencies, match[1], entry)
+    }
+  }
+
+  const bySize = (a, b) => b.size - a.size || (a.name < b.name ? -1 : 1)
+  return {
+    files: written.length,
+    size: written.reduce((sum, entry) => sum + entry.size, 0),
+    compressedSize: written.reduce((sum, entry) => sum + entry.compressedSize, 0),
+    packages: Object.values(packages).sort(bySize),
+    dependencies: Object.values(dependencies).sort(bySize),
+  }
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+/*
+  Returns the lines of a table with a row per item of `rows`, which are
+  {name, files, size, compressedSize}. The first line is the header.
+* */
+export function formatSizeTable(title, rows) {
+  const cells = [
+    [title, 'FILES', 'SIZE', 'ZIPPED'],
+    ...rows.map((row) => [
+      row.name,
+      String(row.files),
+      formatSize(row.size),
+      formatSize(row.compressedSize),
+    ]),
+  ]
+  const widths = cells[0].map((_, i) =>
+    Math.max(...cells.map((row) => row[i].length))
+  )
+  return cells.map((row) =>
+    row
+      .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+      .join('  ')
+  )
+}
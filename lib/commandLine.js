@@ -0,0 +1,65 @@
+/*
+  Splits a command into its words the way a POSIX shell does, without
+  running a shell:
+  * 'single quotes' keep everything inside as is.
+  * "double quotes" keep spaces, and a backslash escapes ", \, $ and `.
+  * A backslash outside quotes escapes the next character.
+  * Leading `NAME=value` words are environment variables for the command.
+  Variables, globs, pipes and redirects are not expanded. Use --exec, or
+  `sh -c '...'`, for those.
+  Returns {env, file, args}.
+* */
+export function parseCommand(command) {
+  const words = []
+  let word = null // null until the current word has started, since '' is a word
+  let quote = null
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i]
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null
+      } else {
+        word += char
+      }
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null
+      } else if (char === '\\' && '"\\$`'.includes(command[i + 1])) {
+        word += command[++i]
+      } else {
+        word += char
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char
+      word = word || ''
+    } else if (char === '\\') {
+      if (i + 1 < command.length) {
+        word = (word || '') + command[++i]
+      }
+    } else if (/\s/.test(char)) {
+      if (word !== null) {
+        words.push(word)
+        word = null
+      }
+    } else {
+      word = (word || '') + char
+    }
+  }
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command: ${command}`)
+  }
+  if (word !== null) {
+    words.push(word)
+  }
+
+  const env = {}
+  while (words.length > 1 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0])) {
+    const assignment = words.shift()
+    const equals = assignment.indexOf('=')
+    env[assignment.slice(0, equals)] = assignment.slice(equals + 1)
+  }
+  if (!words.length) {
+    throw new Error(`Empty command: ${command}`)
+  }
+  return { env, file: words[0], args: words.slice(1) }
+}
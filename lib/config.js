@@ -0,0 +1,57 @@
+import c from 'ansi-colors'
+import fs from 'fs-extra'
+import path from 'path'
+
+const configFileNames = [
+  'rebuild.config.js',
+  'rebuild.config.mjs',
+  'rebuild.config.json',
+]
+
+/*
+  Returns the absolute path of the config file in `dir`, if there is one.
+* */
+export function findConfig(dir = process.cwd()) {
+  return configFileNames
+    .map((name) => path.resolve(dir, name))
+    .find((filepath) => fs.existsSync(filepath))
+}
+
+/*
+  Loads the pipeline named `name` from the config file.
+  A config file either has a `pipelines` object, whose keys are pipeline names,
+  or is itself a single pipeline. Keys outside of `pipelines` are shared by
+  every pipeline. `quiet` skips logging which pipeline was picked.
+* */
+export async function loadPipeline(configPath, name, { quiet = false } = {}) {
+  const config = configPath.endsWith('.json')
+    ? fs.readJsonSync(configPath)
+    : (await import(configPath)).default
+
+  const { pipelines, ...shared } = config || {}
+  if (!pipelines) {
+    return shared
+  }
+
+  const names = Object.keys(pipelines)
+  if (!name) {
+    if (names.length === 1) {
+      name = names[0]
+    } else {
+      throw new Error(
+        `${path.basename(configPath)} defines more than one pipeline. Specify one of: ${names.join(', ')}`
+      )
+    }
+  }
+  if (!pipelines[name]) {
+    throw new Error(
+      `Unknown pipeline ${c.red(name)} in ${path.basename(configPath)}. Expected one of: ${names.join(', ')}`
+    )
+  }
+  if (!quiet) {
+    console.log(
+      `${c.green('[monitor]')} ${c.grey(`${c.yellow('pipeline')} ${name}`)}`
+    )
+  }
+  return { ...shared, ...pipelines[name] }
+}
@@ -0,0 +1,108 @@
+import http from 'http'
+import net from 'net'
+import fs from 'fs'
+import c from 'ansi-colors'
+
+/*
+  Serves a small HTTP API for controlling a running rebuild from other
+  tools, like editor tasks and test scripts:
+  * GET /status - rebuild.status() as JSON.
+  * POST /restart - Restarts every process.
+  * POST /restart/<name> - Restarts the named process.
+  * POST /rebuild - Builds every file again, ignoring the cache, and restarts.
+  * POST /shutdown - Calls `onShutdown`, which stops like ctrl+c does.
+  `address` is a port, which only listens on 127.0.0.1, or the path of a
+  Unix socket (a named pipe on Windows).
+  Resolves with the server once it is listening. It closes when rebuild stops.
+* */
+export async function listenForControl(rebuild, address, { onShutdown }) {
+  const routes = {
+    'GET /status': () => rebuild.status(),
+    'POST /restart': async (name) => {
+      await rebuild.restart(name ? [name] : undefined)
+      return { ok: true }
+    },
+    'POST /rebuild': async () => {
+      await rebuild.forceBuild()
+      return { ok: true, failing: rebuild.status().failing }
+    },
+    'POST /shutdown': () => {
+      // Replies first, since the process usually exits once it has stopped.
+      setImmediate(onShutdown)
+      return { ok: true }
+    },
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const reply = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body) + '\n')
+    }
+    // Browsers send an Origin header, so this keeps web pages from
+    // restarting or stopping processes through a local port.
+    if (req.headers.origin || !isLocalHost(req.headers.host)) {
+      return reply(403, { error: 'Only local clients may use the control server.' })
+    }
+
+    const [, route, name] = new URL(req.url, 'http://localhost').pathname.match(
+      /^(\/[^/]*)(?:\/(.+?))?\/?$/
+    ) || []
+    const key = `${req.method} ${route}`
+    if (!Object.hasOwn(routes, key) || (name && route !== '/restart')) {
+      return reply(404, { error: `Unknown command ${req.method} ${req.url}` })
+    }
+    try {
+      reply(200, await routes[key](name && decodeURIComponent(name)))
+    } catch (err) {
+      reply(err.message.startsWith('There is no process') ? 404 : 500, {
+        error: err.message,
+      })
+    }
+  })
+
+  // Like `--control` given without a value, which would create a socket named true.
+  if (typeof address !== 'number' && (typeof address !== 'string' || !address)) {
+    throw new Error('--control needs a port or a socket path, like --control 7070.')
+  }
+  const port = /^\d+$/.test(String(address)) ? Number(address) : null
+  if (port === null) {
+    await removeStaleSocket(String(address))
+  }
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    if (port === null) {
+      server.listen(String(address), resolve)
+    } else {
+      server.listen(port, '127.0.0.1', resolve)
+    }
+  })
+
+  const url = port === null ? String(address) : `http://127.0.0.1:${server.address().port}`
+  console.log(`${c.green('[monitor]')} ${c.grey(`${c.yellow('control server')} ${url}`)}`)
+  rebuild.once('stop', () => server.close())
+  return server
+}
+
+// Without a Host header, the client is not a browser.
+function isLocalHost(host) {
+  if (!host) return true
+  const hostname = host.replace(/:\d+$/, '')
+  return ['localhost', '127.0.0.1', '[::1]'].includes(hostname)
+}
+
+// A socket file left by a rebuild which did not stop cleanly.
+async function removeStaleSocket(socketPath) {
+  if (process.platform === 'win32' || !fs.existsSync(socketPath)) return
+  const inUse = await new Promise((resolve) => {
+    const socket = net.connect(socketPath)
+    socket.once('connect', () => {
+      socket.destroy()
+      resolve(true)
+    })
+    socket.once('error', () => resolve(false))
+  })
+  if (inUse) {
+    throw new Error(`Another process is listening on ${socketPath}.`)
+  }
+  fs.unlinkSync(socketPath)
+}
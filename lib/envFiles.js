@@ -0,0 +1,55 @@
+import fs from 'fs'
+import path from 'path'
+
+/*
+  Parses a .env file:
+  * `NAME=value` per line, optionally prefixed with `export `.
+  * Blank lines and lines starting with # are ignored, as is a ` #` comment
+    after an unquoted value.
+  * 'single quoted' values are kept as is. "double quoted" values may span
+    lines, and expand \n, \r, \t, \" and \\.
+* */
+export function parseEnvFile(contents) {
+  const env = {}
+  const pattern =
+    /^[ \t]*(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_.]*)[ \t]*=[ \t]*('[^']*'|"(?:\\.|[^"\\])*"|[^\n]*?)[ \t]*(?:[ \t]#[^\n]*)?$/gm
+  for (const [, name, raw] of contents.replace(/\r\n?/g, '\n').matchAll(pattern)) {
+    let value = raw
+    if (value.startsWith("'")) {
+      value = value.slice(1, -1)
+    } else if (value.startsWith('"')) {
+      value = value
+        .slice(1, -1)
+        .replace(/\\([nrt"\\])/g, (_, char) =>
+          ({ n: '\n', r: '\r', t: '\t' })[char] || char
+        )
+    }
+    env[name] = value
+  }
+  return env
+}
+
+/*
+  The environment a process runs with: rebuild-aio's own environment, then
+  each of the spec's env files in order, then its `env` option, then any
+  `NAME=value` words at the start of its command. Later ones win.
+  An env file which does not exist is skipped, since it is watched and
+  the process restarts once it is created.
+* */
+export function getProcessEnv(spec, commandEnv = {}) {
+  const env = { ...process.env }
+  for (const file of spec.envFile) {
+    let contents
+    try {
+      contents = fs.readFileSync(path.resolve(file), 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') continue
+      throw err
+    }
+    Object.assign(env, parseEnvFile(contents))
+  }
+  for (const [name, value] of Object.entries(spec.env)) {
+    env[name] = String(value)
+  }
+  return Object.assign(env, commandEnv)
+}
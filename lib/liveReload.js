@@ -0,0 +1,103 @@
+import http from 'http'
+
+export const defaultLiveReloadPort = 35729
+
+/*
+  The script served at /client.js. It listens to /events on the same server,
+  reloading the page on `reload`, and swapping the stylesheets whose URL
+  matches one of the changed outputs on `css`. When none match, every
+  stylesheet is swapped, since the server may map outputs to other URLs.
+  A stylesheet is swapped by loading a copy first, so the page never shows
+  unstyled content.
+* */
+const client = `(function () {
+  var origin = new URL(document.currentScript.src).origin
+  var source = new EventSource(origin + '/events')
+  source.addEventListener('reload', function () {
+    location.reload()
+  })
+  source.addEventListener('css', function (event) {
+    var outputs = JSON.parse(event.data).outputs
+    var links = [].slice.call(document.querySelectorAll('link[rel="stylesheet"]'))
+    var matching = links.filter(function (link) {
+      var pathname = new URL(link.href).pathname
+      return outputs.some(function (output) {
+        return ('/' + output).slice(-pathname.length) === pathname
+      })
+    })
+    ;(matching.length ? matching : links).forEach(function (link) {
+      var url = new URL(link.href)
+      url.searchParams.set('livereload', Date.now())
+      var copy = link.cloneNode()
+      copy.href = url.href
+      copy.onload = copy.onerror = function () {
+        link.remove()
+      }
+      link.after(copy)
+    })
+  })
+})()
+`
+
+/*
+  Serves the live reload client, and an event stream which tells browsers
+  to reload. `port` only listens on 127.0.0.1.
+  Resolves with {url, scriptUrl, reload(outputs), reloadCss(outputs), close()}.
+* */
+export async function createLiveReloadServer(port) {
+  const clients = new Set()
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    if (pathname === '/client.js') {
+      res.writeHead(200, {
+        'Content-Type': 'text/javascript',
+        'Cache-Control': 'no-cache',
+      })
+      res.end(client)
+    } else if (pathname === '/events') {
+      // The page is served from another origin, like the app's own server.
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+      })
+      res.write('retry: 1000\n\n')
+      clients.add(res)
+      req.on('close', () => clients.delete(res))
+    } else {
+      res.writeHead(404)
+      res.end()
+    }
+  })
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, '127.0.0.1', resolve)
+  })
+  // Keeps idle connections from being closed by proxies and browsers.
+  const keepAlive = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n')
+  }, 30000)
+  keepAlive.unref()
+
+  const send = (event, data) => {
+    for (const res of clients) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+    return clients.size
+  }
+  const url = `http://localhost:${server.address().port}`
+  return {
+    url,
+    scriptUrl: `${url}/client.js`,
+    reload: (outputs) => send('reload', { outputs }),
+    reloadCss: (outputs) => send('css', { outputs }),
+    close: () => {
+      clearInterval(keepAlive)
+      for (const res of clients) res.end()
+      clients.clear()
+      return new Promise((resolve) => server.close(() => resolve()))
+    },
+  }
+}
@@ -0,0 +1,125 @@
+import c from 'ansi-colors'
+import fs from 'fs-extra'
+import path from 'path'
+
+const colors = ['cyan', 'magenta', 'yellow', 'blue', 'greenBright', 'redBright']
+
+// Like 09:41:07.123, in local time.
+function localTime() {
+  const now = new Date()
+  const pad = (n, width = 2) => String(n).padStart(width, '0')
+  return `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(
+    now.getSeconds()
+  )}.${pad(now.getMilliseconds(), 3)}`
+}
+
+/*
+  A size-rotated log file. When writing would grow `file` past `maxSize`
+  bytes, it is renamed to file.1, file.1 to file.2, and so on, keeping at
+  most `maxFiles` rotated files.
+* */
+function createLogFile(file, maxSize, maxFiles) {
+  fs.ensureDirSync(path.dirname(file))
+  let fd = fs.openSync(file, 'a')
+  let size = fs.fstatSync(fd).size
+
+  const rotate = () => {
+    fs.closeSync(fd)
+    fs.removeSync(`${file}.${maxFiles}`)
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) {
+        fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`)
+      }
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(file, `${file}.1`)
+    } else {
+      fs.removeSync(file)
+    }
+    fd = fs.openSync(file, 'a')
+    size = 0
+  }
+
+  return {
+    write(text) {
+      const bytes = Buffer.byteLength(text)
+      if (size > 0 && size + bytes > maxSize) {
+        rotate()
+      }
+      fs.writeSync(fd, text)
+      size += bytes
+    },
+    close() {
+      fs.closeSync(fd)
+    },
+  }
+}
+
+/*
+  Creates the logger for one process. Output is split into lines, which are
+  printed with the process name as a colored prefix, padded to `width`,
+  unless `options.prefix` is false, and a timestamp if `options.timestamps`. `silent` hides the output, and `filter` only shows
+  lines matching a RegExp. The log file, if any, always gets every line.
+* */
+export function createProcessLogger(spec, index, width, options) {
+  const color = c[colors[index % colors.length]]
+  const prefix = `${color(spec.name.padEnd(width))} ${c.grey('|')}`
+  const filter =
+    spec.filter && !(spec.filter instanceof RegExp)
+      ? new RegExp(spec.filter)
+      : spec.filter
+  const logFile = spec.logFile
+    ? createLogFile(
+        path.resolve(spec.logFile),
+        spec.logMaxSize || 10 * 1024 * 1024,
+        spec.logMaxFiles === undefined ? 3 : spec.logMaxFiles
+      )
+    : null
+
+  const buffered = { stdout: '', stderr: '' }
+  const printLine = (stream, line) => {
+    if (logFile) {
+      logFile.write(`${new Date().toISOString()} ${stream} ${c.unstyle(line)}\n`)
+    }
+    if (spec.silent || (filter && !filter.test(line))) {
+      return
+    }
+    const time = options.timestamps ? `${c.grey(localTime())} ` : ''
+    const out = stream === 'stderr' ? process.stderr : process.stdout
+    out.write(`${time}${options.prefix ? `${prefix} ` : ''}${line}\n`)
+  }
+  // With nothing to add or hide, output is passed through as is.
+  const passthrough =
+    !options.prefix &&
+    !options.timestamps &&
+    !logFile &&
+    !spec.silent &&
+    !filter
+
+  return {
+    write(stream, chunk) {
+      if (passthrough) {
+        ;(stream === 'stderr' ? process.stderr : process.stdout).write(chunk)
+        return
+      }
+      const lines = (buffered[stream] + chunk.toString()).split('\n')
+      buffered[stream] = lines.pop()
+      for (const line of lines) {
+        printLine(stream, line)
+      }
+    },
+    // Prints a partial last line, once the process has exited.
+    flush() {
+      for (const stream of ['stdout', 'stderr']) {
+        if (buffered[stream]) {
+          const line = buffered[stream]
+          buffered[stream] = ''
+          this.write(stream, `${line}\n`)
+        }
+      }
+    },
+    close() {
+      if (logFile) logFile.close()
+    },
+  }
+}
@@ -0,0 +1,97 @@
+import fs from 'fs-extra'
+import path from 'path'
+import debounce from 'lodash.debounce'
+import { hashContents } from './utils.js'
+
+/*
+  The build manifest records, for each source file, the hash of its contents,
+  the hash of the transformer which produced it (null for plain copies),
+  and where its outputs were written, relative to outDir. On startup, files
+  whose inputs match the manifest are skipped.
+  Concurrent rebuild-aio commands may share the same output dir, so each
+  set of --watch dirs gets its own manifest file. The manifest doubles as the
+  record of which output files this instance owns.
+  `error` is set when a saved manifest exists but could not be read.
+  `mapping` identifies how sources were mapped to outputs by the last
+  complete build. It is null for the default mapping.
+* */
+export function loadManifest(outDir, watchDirs) {
+  const manifestDir = path.resolve(outDir, '.rebuild')
+  const manifestPath = path.resolve(
+    manifestDir,
+    `${hashContents(JSON.stringify([...watchDirs].sort())).slice(0, 12)}.json`
+  )
+  const data = { version: 1, watch: watchDirs, mapping: null, files: {} }
+  let error = null
+  if (fs.existsSync(manifestPath)) {
+    try {
+      const saved = fs.readJsonSync(manifestPath)
+      if (saved.version === data.version) {
+        data.files = saved.files || {}
+        data.mapping = saved.mapping || null
+        for (const entry of Object.values(data.files)) {
+          // Entries written before transformers could produce several outputs.
+          if (!entry.outputs) {
+            entry.outputs = entry.output ? [entry.output] : []
+            delete entry.output
+          }
+        }
+      }
+    } catch (err) {
+      error = err
+    }
+  }
+
+  const save = () => {
+    // Files are built concurrently, so they are sorted to keep the saved
+    // manifest stable between runs.
+    const files = {}
+    for (const key of Object.keys(data.files).sort()) {
+      files[key] = data.files[key]
+    }
+    // Written to a temporary file first, since other instances read it while
+    // pruning, and a truncated manifest would make its outputs look unowned.
+    const tempPath = `${manifestPath}.${process.pid}.tmp`
+    fs.outputJsonSync(tempPath, { ...data, files }, { spaces: 2 })
+    fs.renameSync(tempPath, manifestPath)
+  }
+
+  /*
+    Returns the outputs recorded in the manifests of other rebuild-aio commands
+    sharing this output dir, as a map of outDir-relative paths.
+    Returns null when one of them cannot be read, since its outputs might be
+    deleted otherwise.
+  * */
+  const getOutputsOwnedByOthers = () => {
+    const owned = {}
+    if (!fs.existsSync(manifestDir)) return owned
+    for (const name of fs.readdirSync(manifestDir)) {
+      const otherPath = path.resolve(manifestDir, name)
+      if (otherPath === manifestPath || !name.endsWith('.json')) continue
+      try {
+        const other = fs.readJsonSync(otherPath)
+        for (const entry of Object.values(other.files || {})) {
+          for (const output of entry.outputs || [entry.output]) {
+            owned[output] = true
+          }
+        }
+      } catch (err) {
+        return null
+      }
+    }
+    return owned
+  }
+
+  return {
+    path: manifestPath,
+    error,
+    files: data.files,
+    getMapping: () => data.mapping,
+    setMapping: (mapping) => {
+      data.mapping = mapping
+    },
+    save,
+    saveLater: debounce(save, 1000),
+    getOutputsOwnedByOthers,
+  }
+}
@@ -0,0 +1,51 @@
+import c from 'ansi-colors'
+
+const actionColors = {
+  transform: c.blueBright,
+  copy: c.blue,
+  'ensure dir': c.grey,
+  link: c.cyan,
+  ignored: c.dim,
+  remove: c.red,
+}
+
+/*
+  Returns the lines of a table with a row per entry of plan(), and a
+  summary line with the number of files per action. Cached files are
+  marked with an `=` after their action.
+* */
+export function formatPlanTable(entries) {
+  const cells = [
+    ['ACTION', 'SOURCE', 'OUTPUT', 'REASON'],
+    ...entries.map((entry) => [
+      entry.cached ? `${entry.action} =` : entry.action,
+      entry.source,
+      entry.output || '-',
+      entry.reason,
+    ]),
+  ]
+  const widths = cells[0].map((_, i) =>
+    Math.max(...cells.map((row) => row[i].length))
+  )
+  const lines = cells.map((row, i) => {
+    const line = row
+      .map((cell, j) => (j === row.length - 1 ? cell : cell.padEnd(widths[j])))
+      .join('  ')
+    if (i === 0) return c.grey(line)
+    const color = actionColors[entries[i - 1].action]
+    return color(row[0].padEnd(widths[0])) + line.slice(widths[0])
+  })
+
+  const counts = {}
+  let cached = 0
+  for (const entry of entries) {
+    counts[entry.action] = (counts[entry.action] || 0) + 1
+    if (entry.cached) cached++
+  }
+  const summary = Object.entries(counts).map(([action, count]) => `${count} ${action}`)
+  if (cached) {
+    summary.push(`${cached} unchanged since the last build (=)`)
+  }
+  lines.push(c.grey(summary.join(', ')))
+  return lines
+}
@@ -0,0 +1,111 @@
+import { execFileSync } from 'child_process'
+import fs from 'fs'
+import delay from 'delay'
+
+const isWindows = process.platform === 'win32'
+
+// On Windows there are no process groups, and `taskkill /T` is used instead.
+export const useProcessGroups = !isWindows
+
+/*
+  Returns the pids of every descendant of `pid`, children first.
+  Returns an empty list where `ps` is not available.
+* */
+export function listDescendants(pid) {
+  if (isWindows || !pid) {
+    return []
+  }
+  let table
+  try {
+    table = execFileSync('ps', ['-A', '-o', 'pid=,ppid='], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    })
+  } catch (err) {
+    return []
+  }
+  const childrenOf = {}
+  for (const line of table.split('\n')) {
+    const [child, parent] = line.trim().split(/\s+/).map(Number)
+    if (child && parent) {
+      childrenOf[parent] = childrenOf[parent] || []
+      childrenOf[parent].push(child)
+    }
+  }
+  const descendants = []
+  const queue = [pid]
+  while (queue.length) {
+    for (const child of childrenOf[queue.shift()] || []) {
+      descendants.push(child)
+      queue.push(child)
+    }
+  }
+  return descendants
+}
+
+export function isAlive(pid) {
+  try {
+    process.kill(pid, 0)
+  } catch (err) {
+    // EPERM means it exists, but belongs to someone else.
+    return err.code === 'EPERM'
+  }
+  return !isZombie(pid)
+}
+
+// An orphan which has exited stays in the process table until its new parent
+// reaps it, and signalling it still succeeds.
+function isZombie(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8')
+    return stat.slice(stat.lastIndexOf(')') + 2)[0] === 'Z'
+  } catch (err) {
+    return false
+  }
+}
+
+/*
+  Sends `signal` to the child and everything in its process group.
+  Children are started as group leaders, so the group is the child's pid.
+  Falls back to signalling only the child when it has no group.
+* */
+export function signalTree(child, signal = 'SIGTERM') {
+  if (isWindows) {
+    if (signal === 'SIGKILL') {
+      try {
+        execFileSync('taskkill', ['/pid', String(child.pid), '/T', '/F'], {
+          stdio: 'ignore',
+        })
+        return
+      } catch (err) {}
+    }
+    child.kill(signal)
+    return
+  }
+  try {
+    process.kill(-child.pid, signal)
+  } catch (err) {
+    child.kill(signal)
+  }
+}
+
+export function killPids(pids, signal = 'SIGKILL') {
+  for (const pid of pids) {
+    try {
+      process.kill(pid, signal)
+    } catch (err) {}
+  }
+}
+
+/*
+  Polls until none of `pids` are alive, or until `deadline`.
+  Resolves with the ones still alive.
+* */
+export async function waitForPids(pids, deadline) {
+  let alive = pids.filter(isAlive)
+  while (alive.length && Date.now() < deadline) {
+    await delay(100)
+    alive = alive.filter(isAlive)
+  }
+  return alive
+}
@@ -0,0 +1,147 @@
+import path from 'path'
+import { toArray } from './utils.js'
+import { normalizeReadyChecks } from './readiness.js'
+import { parseCommand } from './commandLine.js'
+
+/*
+  Normalizes the fork, spawn and exec options into a list of process specs,
+  {name, type, command, restartOn, ready, readyTimeout, dependsOn}, with forks
+  first, then spawns, then execs, which is the order they are started in
+  unless `dependsOn` says otherwise.
+
+  Each entry may be a command string, or an object with a `command`, and
+  optionally:
+  * `name` - Defaults to the command.
+  * `restartOn` - Globs matched against changed output paths. A process
+    without `restartOn` restarts on every change.
+  * `ready` - Readiness checks, see readiness.js.
+  * `readyTimeout` - How long to wait for the process to be ready. Default is 30000.
+  * `dependsOn` - Names of processes which must be ready before this one starts.
+  * `restart` - 'never', 'on-failure' or 'always'. Whether to start the process
+    again when it exits on its own, instead of waiting for the next change.
+    Defaults to the pipeline's `restart` option, or 'never'.
+  * `restartDelay`, `maxRestartDelay` - The backoff between automatic
+    restarts starts at restartDelay (default 1000) and doubles each time,
+    up to maxRestartDelay (default 30000).
+  * `maxRestarts`, `restartWindow` - After maxRestarts (default 5) automatic
+    restarts within restartWindow ms (default 60000), the process is considered
+    to be in a crash loop and is left stopped until the next change.
+  * `silent`, `filter`, `logFile`, `logMaxSize`, `logMaxFiles` - See logs.js.
+    The pipeline's `silence` option also silences the processes it names.
+  * `cwd` - The directory the process runs in. Paths in its command are
+    relative to it.
+  * `env` - Extra environment variables.
+  * `envFile` - One or more .env files to load, see envFiles.js. They are
+    watched, and a change restarts the processes which load them.
+
+  Fork and spawn commands are split into words with parseCommand(). Exec
+  commands run in a shell, as before.
+* */
+
+const restartPolicies = ['never', 'on-failure', 'always']
+export function normalizeProcesses(options) {
+  const specs = []
+  for (const type of ['fork', 'spawn', 'exec']) {
+    for (const entry of toArray(options[type])) {
+      const spec = typeof entry === 'string' ? { command: entry } : entry
+      if (!spec.command) {
+        throw new Error(`Each --${type} entry needs a \`command\`.`)
+      }
+      const name = spec.name || spec.command
+      // Parsed here, so that a broken command fails on startup.
+      const parsed = type === 'exec' ? null : parseCommand(spec.command)
+      const restart = spec.restart || options.restart || 'never'
+      if (!restartPolicies.includes(restart)) {
+        throw new Error(
+          `Unknown restart policy ${restart} for ${name}. Expected one of: ${restartPolicies.join(', ')}`
+        )
+      }
+      specs.push({
+        ...spec,
+        name,
+        type,
+        command: spec.command,
+        parsed,
+        cwd: spec.cwd ? path.resolve(spec.cwd) : process.cwd(),
+        env: spec.env || {},
+        envFile: toArray(spec.envFile),
+        restartOn: toArray(spec.restartOn),
+        ready: normalizeReadyChecks(spec.ready, name),
+        readyTimeout: spec.readyTimeout || 30000,
+        dependsOn: toArray(spec.dependsOn),
+        restart,
+        restartDelay: spec.restartDelay || 1000,
+        maxRestartDelay: spec.maxRestartDelay || 30000,
+        maxRestarts: spec.maxRestarts || 5,
+        restartWindow: spec.restartWindow || 60000,
+        silent: !!spec.silent || toArray(options.silence).includes(name),
+      })
+    }
+  }
+
+  const byName = {}
+  for (const spec of specs) {
+    if (byName[spec.name]) {
+      throw new Error(
+        `More than one process is named ${spec.name}. Give them different names.`
+      )
+    }
+    byName[spec.name] = spec
+  }
+  for (const name of toArray(options.silence)) {
+    if (!byName[name]) {
+      throw new Error(`Cannot silence ${name}, since there is no process named ${name}.`)
+    }
+  }
+  for (const spec of specs) {
+    for (const dep of spec.dependsOn) {
+      if (!byName[dep]) {
+        throw new Error(`${spec.name} depends on ${dep}, but there is no process named ${dep}.`)
+      }
+    }
+  }
+  // Throws on cycles.
+  orderByDependencies(specs, specs)
+  return specs
+}
+
+/*
+  Returns `specs` along with any specs they depend on, directly or not, which
+  are not `running`, ordered so that every process comes after its
+  dependencies. Otherwise, the order of `allSpecs` is kept.
+* */
+export function orderByDependencies(specs, allSpecs, running = {}) {
+  const byName = {}
+  for (const spec of allSpecs) {
+    byName[spec.name] = spec
+  }
+
+  const wanted = {}
+  const want = (spec) => {
+    if (wanted[spec.name]) return
+    wanted[spec.name] = true
+    for (const dep of spec.dependsOn) {
+      if (!running[dep]) want(byName[dep])
+    }
+  }
+  specs.forEach(want)
+
+  const ordered = []
+  const state = {} // name -> 'visiting' | 'done'
+  const visit = (spec, path) => {
+    if (state[spec.name] === 'done') return
+    if (state[spec.name] === 'visiting') {
+      throw new Error(
+        `Processes depend on each other in a cycle: ${[...path, spec.name].join(' -> ')}`
+      )
+    }
+    state[spec.name] = 'visiting'
+    for (const dep of spec.dependsOn) {
+      visit(byName[dep], [...path, spec.name])
+    }
+    state[spec.name] = 'done'
+    if (wanted[spec.name]) ordered.push(spec)
+  }
+  allSpecs.forEach((spec) => visit(spec, []))
+  return ordered
+}
@@ -0,0 +1,296 @@
+import chokidar from 'chokidar'
+import c from 'ansi-colors'
+import fs from 'fs-extra'
+import path from 'path'
+import escalade from 'escalade/sync'
+import { flattenChokidarWatched } from './utils.js'
+import { isSymlinkCycle } from './symlinks.js'
+
+/*
+  Finds the install of package `name` the way Node does, in the node_modules
+  of `fromDir` or of any dir above it.
+* */
+function findInstall(fromDir, name) {
+  return escalade(fromDir, (dir) => {
+    const installPath = `${dir}/node_modules/${name}`
+    if (fs.pathExistsSync(installPath)) {
+      return installPath
+    }
+  })
+}
+
+/*
+  Packages installed using npm link, or workspace packages, might not be
+  listed in package.json dependencies. They are found as symlinks in a
+  node_modules dir, including under @scope dirs, which point outside of any
+  node_modules dir. pnpm's symlinks into its .pnpm store are not links of
+  this kind, since every package, dev deps included, is linked like that.
+* */
+function findLinkedPackages(nodeModulesPath) {
+  const linked = []
+  if (!fs.pathExistsSync(nodeModulesPath)) return linked
+  const visit = (dir, depth) => {
+    for (const folder of fs.readdirSync(dir)) {
+      if (folder.startsWith('.')) continue
+      const folderPath = `${dir}/${folder}`
+      const stat = fs.lstatSync(folderPath)
+      if (depth === 0 && folder.startsWith('@') && stat.isDirectory()) {
+        visit(folderPath, 1)
+      } else if (stat.isSymbolicLink()) {
+        let realPath
+        try {
+          realPath = fs.realpathSync(folderPath)
+        } catch (err) {
+          continue // broken link
+        }
+        if (!realPath.split(path.sep).includes('node_modules')) {
+          linked.push(folderPath)
+        }
+      }
+    }
+  }
+  visit(nodeModulesPath, 0)
+  return linked
+}
+
+// The names of the executables a package links into node_modules/.bin.
+function getBinNames(packageJson) {
+  if (typeof packageJson.bin === 'string') {
+    return [packageJson.name.split('/').pop()]
+  }
+  return Object.keys(packageJson.bin || {})
+}
+
+/*
+`key` is like 'src/backend/src/utils/ID.js'
+Adds the prod deps of the top-level package.json `key` to `prodDeps`:
+* `dependencies`, which must be installed.
+* `optionalDependencies`, when installed. Platform-specific packages are not.
+* `peerDependencies` of each dep, when installed by the package depending on it.
+* Linked and workspace packages, see findLinkedPackages().
+Deps are resolved from the real path of the package which depends on them,
+which is how Node finds them in pnpm's .pnpm store, where a package's deps
+are its siblings rather than in a node_modules above it.
+* */
+function addProdDeps(key, prodDeps) {
+  const topLevelFolderPath = path.dirname(key)
+  const cwd = path.resolve('./')
+  const toKey = (p) => path.relative(cwd, path.resolve(p)).split(path.sep).join('/')
+  // A package.json in the cwd, from `--watch .`, contains every cwd-relative path.
+  const isInside = topLevelFolderPath === '.'
+    ? (p) => p !== '.' && p !== '..' && !p.startsWith('../') && !path.isAbsolute(p)
+    : (p) => p.startsWith(`${topLevelFolderPath}/`)
+  const isWatched = (p) => isInside(p) && p.includes('node_modules/')
+
+  // The watcher must be able to walk down to each dep, through dirs like
+  // node_modules/@scope and node_modules/.pnpm/<id>.
+  const addParentPaths = (packagePath) => {
+    let dir = path.posix.dirname(packagePath)
+    while (isInside(dir) && !prodDeps.paths[dir]) {
+      prodDeps.paths[dir] = true
+      dir = path.posix.dirname(dir)
+    }
+  }
+
+  // Key is the real path of a package to visit, value is the paths the
+  // watcher sees it at. With pnpm, those are symlinks into the .pnpm store.
+  const visited = {}
+  let newlyAdded = {}
+  const addPackage = (packagePaths, reason) => {
+    const realPath = toKey(fs.realpathSync(packagePaths[0]))
+    const paths = [...new Set([...packagePaths, realPath])].filter(isWatched)
+    for (const packagePath of paths) {
+      prodDeps.packages[packagePath] = true
+      // Packages are visited breadth first, so the first reason is the shortest.
+      prodDeps.reasons[packagePath] = prodDeps.reasons[packagePath] || reason
+      addParentPaths(packagePath)
+    }
+    const known = visited[realPath] || []
+    if (visited[realPath] && paths.every((packagePath) => known.includes(packagePath))) {
+      return
+    }
+    visited[realPath] = [...new Set([...known, ...paths])]
+    newlyAdded[realPath] = visited[realPath]
+  }
+
+  // Deps are resolved from `realDir`, the way Node resolves them. When one is
+  // installed inside the package itself, like in its own node_modules, it is
+  // also seen by the watcher under each of the package's other paths.
+  const addDepsOf = (packageJson, realDir, packagePaths) => {
+    const parent = packagePaths[0] || realDir
+    const resolve = (name) => {
+      const installPath = findInstall(realDir, name)
+      if (!installPath) return null
+      const installKey = toKey(installPath)
+      const aliases = packagePaths
+        .filter((packagePath) => installKey.startsWith(`${realDir}/`) && packagePath !== realDir)
+        .map((packagePath) => packagePath + installKey.slice(realDir.length))
+      return [installKey, ...aliases]
+    }
+
+    const optional = packageJson.optionalDependencies || {}
+    for (const depName of Object.keys({
+      ...(packageJson.dependencies || {}),
+      ...optional,
+    })) {
+      const installPaths = resolve(depName)
+      if (installPaths) {
+        addPackage(installPaths, {
+          parent,
+          field: optional[depName] ? 'optionalDependencies' : 'dependencies',
+        })
+      } else if (!optional[depName]) {
+        throw new Error(`Unable to find node_module install for ${c.red(depName)} which is listed as a dependency in file://${path.resolve(realDir)}/package.json`)
+      }
+    }
+
+    // Peers are provided by whichever package depends on this one, so they
+    // are found next to it, or above it.
+    if (realDir !== topLevelFolderPath) {
+      for (const peerName of Object.keys(packageJson.peerDependencies || {})) {
+        const installPaths = resolve(peerName)
+        if (installPaths) {
+          addPackage(installPaths, { parent, field: 'peerDependencies' })
+        }
+      }
+    }
+
+    for (const packagePath of [...new Set([realDir, ...packagePaths])]) {
+      for (const linkedPath of findLinkedPackages(`${packagePath}/node_modules`)) {
+        addPackage([toKey(linkedPath)], { parent, field: 'linked' })
+      }
+    }
+  }
+
+  addDepsOf(fs.readJsonSync(key), topLevelFolderPath, [])
+
+  while (Object.keys(newlyAdded).length) {
+    const current = newlyAdded
+    newlyAdded = {}
+    for (const [realPath, packagePaths] of Object.entries(current)) {
+      const depPackage = fs.readJsonSync(`${realPath}/package.json`)
+      addDepsOf(depPackage, realPath, packagePaths)
+
+      // Only the executables of prod deps are kept from node_modules/.bin.
+      for (const binName of getBinNames(depPackage)) {
+        for (const packagePath of packagePaths) {
+          const nodeModulesPath = packagePath.slice(0, packagePath.lastIndexOf('/node_modules/') + '/node_modules'.length)
+          prodDeps.paths[`${nodeModulesPath}/.bin`] = true
+          prodDeps.paths[`${nodeModulesPath}/.bin/${binName}`] = { bin: packagePath }
+        }
+      }
+    }
+  }
+}
+
+/*
+  Whether `file`, a path inside node_modules as seen by the watcher, is part
+  of a prod dep, and so belongs in the output.
+* */
+export function isProdDepPath(prodDeps, file) {
+  if (file.endsWith('node_modules')) return true
+  if (prodDeps.paths[file]) return true
+
+  // Match up to the deepest node_modules/packagename.
+  // Examples:
+  // src/common/node_modules/@aws-sdk/middleware-retry/
+  // src/common/node_modules/middleware-retry/
+  // src/common/node_modules/.pnpm/middleware-retry@1.0.0/node_modules/middleware-retry/
+  const packagePath = getPackagePath(file)
+  return !!packagePath && !!prodDeps.packages[packagePath]
+}
+
+function getPackagePath(file) {
+  const match = (file + '/').match(/^(.*node_modules\/(?:@[^/]+\/)?[^/]+)\//)
+  return match && match[1]
+}
+
+/*
+  Describes why a path inside node_modules is, or is not, part of the output,
+  including the chain of packages which required a prod dep, like
+  `src/api > express > body-parser`.
+* */
+export function explainProdDepPath(prodDeps, file) {
+  if (file.endsWith('node_modules')) return 'node_modules dir'
+  const info = prodDeps.paths[file]
+  if (info && info.bin) {
+    return `executable of prod dependency ${getDependencyChain(prodDeps, info.bin)}`
+  }
+  const packagePath = getPackagePath(file)
+  if (packagePath && prodDeps.packages[packagePath]) {
+    return `prod dependency ${getDependencyChain(prodDeps, packagePath)}`
+  }
+  if (info) return 'contains prod dependencies'
+  if (packagePath && packagePath.endsWith('/.bin')) {
+    return 'not an executable of a prod dependency'
+  }
+  return 'not a prod dependency'
+}
+
+function getDependencyChain(prodDeps, packagePath) {
+  const names = []
+  const seen = {}
+  let current = packagePath
+  while (prodDeps.reasons[current] && !seen[current]) {
+    seen[current] = true
+    const { parent, field } = prodDeps.reasons[current]
+    const name = current.slice(current.lastIndexOf('node_modules/') + 'node_modules/'.length)
+    names.unshift(field === 'dependencies' ? name : `${name} (${field})`)
+    current = parent
+  }
+  return [current, ...names].join(' > ')
+}
+
+export async function getProdDeps(watchDirs) {
+  //  each subproject in the monorepo should keep track of its own prod deps.
+  //  Make watch exclude node_modules so that it doesn't iterate over files in there.
+  //  Also make watch only find package.json files.
+  //  Now watch fill only find top-level package.json files.
+  //  For each top-level package.json found,
+  //  create prodDeps[topLevelFolderPath] = {[depFolderPath: string]: boolean}
+  //  For each key of prodDeps, aka each topLevelFolderPath,
+  //  go into its node_modules folder, and for each depFolderPath,
+  //  get the package.json for that dep.
+  //  Add its deps to the current prodDeps[topLevelFolderPath] object.
+  //  Each new dep that is added is also recorded in a temp array
+  //  if it didn't already exist in the current prodDeps[topLevelFolderPath] object.
+  //  Repeat the loop for each dep in this array,
+  //  also adding its deps to the current prodDeps[topLevelFolderPath] object.
+  //  At the end of the loop, if the temp array is empty, there is nothing to follow up on,
+  //  So all prod deps for this top-level project have been accounted for, and we can move
+  //  on to the next top-level project.
+
+  const prodDeps = { packages: {}, paths: {}, reasons: {} }
+  for (const dir of watchDirs) {
+    await new Promise((resolve, reject) => {
+      const watcher = chokidar.watch(dir, {
+        // ignore dotfiles, node_modules and symlinks which would be followed forever
+        ignored: (file) => /(^|[\/\\])(\..|node_modules)/.test(file) || isSymlinkCycle(file),
+        persistent: true
+      })
+      watcher.on('ready', () => {
+        // A missing dependency throws here, like while an install is still
+        // running, and has to reach the caller instead of being uncaught.
+        try {
+          const watched = watcher.getWatched()
+          const watchedFlat = flattenChokidarWatched(dir, watched)
+          for (const file of watchedFlat) {
+            const isPackageJson = file.endsWith('package.json')
+            if (!isPackageJson) continue
+            const isTopLevel = file === `${dir}/package.json`
+            if (isTopLevel) {
+              addProdDeps(file, prodDeps)
+            }
+          }
+          resolve()
+        } catch (err) {
+          reject(err)
+        } finally {
+          watcher.close()
+        }
+      })
+    }) // await promise
+  } // for loop
+
+  return prodDeps
+}
@@ -0,0 +1,132 @@
+import net from 'net'
+import http from 'http'
+import https from 'https'
+import delay from 'delay'
+import c from 'ansi-colors'
+import { toArray } from './utils.js'
+
+/*
+  Normalizes a process's `ready` option into a list of checks:
+  * {port, host} - A TCP port accepts connections.
+  * {http} - A GET request to this URL responds with a 2xx status.
+  * {stdout} - A line written to stdout matches this RegExp, or string pattern.
+    Colors are removed from the line first.
+* */
+export function normalizeReadyChecks(ready, name) {
+  return toArray(ready).map((check) => {
+    if (typeof check === 'number') {
+      return { port: check, host: 'localhost' }
+    }
+    if (check.port) {
+      return { port: Number(check.port), host: check.host || 'localhost' }
+    }
+    if (check.http) {
+      return { http: check.http }
+    }
+    if (check.stdout) {
+      return {
+        stdout:
+          check.stdout instanceof RegExp
+            ? check.stdout
+            : new RegExp(check.stdout),
+      }
+    }
+    throw new Error(
+      `Unknown readiness check for ${name}. Expected {port}, {http} or {stdout}.`
+    )
+  })
+}
+
+function checkPort({ port, host }) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host })
+    socket.setTimeout(1000)
+    socket.on('connect', () => {
+      socket.destroy()
+      resolve(true)
+    })
+    socket.on('timeout', () => {
+      socket.destroy()
+      resolve(false)
+    })
+    socket.on('error', () => {
+      resolve(false)
+    })
+  })
+}
+
+function checkHttp({ http: url }) {
+  return new Promise((resolve) => {
+    const client = url.startsWith('https:') ? https : http
+    const req = client.get(url, { timeout: 1000 }, (res) => {
+      res.resume()
+      resolve(res.statusCode >= 200 && res.statusCode < 300)
+    })
+    req.on('timeout', () => {
+      req.destroy()
+      resolve(false)
+    })
+    req.on('error', () => {
+      resolve(false)
+    })
+  })
+}
+
+/*
+  Resolves to true once every check passes, or to false if `timeout` ms pass
+  first, or if the child exits before becoming ready.
+  Port and HTTP checks are polled. Stdout checks need `child.stdout` to be a pipe.
+* */
+export function waitForReady(child, checks, timeout) {
+  return new Promise((resolve) => {
+    let done = false
+    const finish = (ready) => {
+      if (done) return
+      done = true
+      clearTimeout(timer)
+      child.off('exit', onExit)
+      if (child.stdout) child.stdout.off('data', onData)
+      resolve(ready)
+    }
+    const onExit = () => finish(false)
+    child.once('exit', onExit)
+    const timer = setTimeout(() => finish(false), timeout)
+
+    const stdoutChecks = checks.filter((check) => check.stdout)
+    const matched = new Set()
+    let buffered = ''
+    const onData = (data) => {
+      buffered += data.toString()
+      const lines = buffered.split('\n')
+      buffered = lines.pop()
+      for (const line of lines.map((line) => c.unstyle(line))) {
+        for (const check of stdoutChecks) {
+          if (check.stdout.test(line)) matched.add(check)
+        }
+      }
+    }
+    if (stdoutChecks.length && child.stdout) {
+      child.stdout.on('data', onData)
+    }
+
+    const pollChecks = checks.filter((check) => !check.stdout)
+    ;(async () => {
+      const passed = new Set()
+      while (!done) {
+        for (const check of pollChecks) {
+          if (passed.has(check)) continue
+          const ok = check.port ? await checkPort(check) : await checkHttp(check)
+          if (ok) passed.add(check)
+        }
+        if (
+          passed.size === pollChecks.length &&
+          matched.size === stdoutChecks.length
+        ) {
+          finish(true)
+          return
+        }
+        await delay(250)
+      }
+    })()
+  })
+}
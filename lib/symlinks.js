@@ -0,0 +1,45 @@
+import fs from 'fs'
+import path from 'path'
+
+export const symlinkModes = ['dereference', 'preserve']
+
+/*
+  Whether `file` is a symlink to a directory which contains it, like
+  `src/lib/self -> ..`, which the watcher would follow forever. Links which
+  never resolve, like `a -> b -> a`, count as well.
+* */
+export function isSymlinkCycle(file) {
+  const lstat = fs.lstatSync(file, { throwIfNoEntry: false })
+  if (!lstat || !lstat.isSymbolicLink()) {
+    return false
+  }
+  let target
+  try {
+    target = fs.realpathSync(file)
+  } catch (err) {
+    return err.code === 'ELOOP'
+  }
+  const parent = fs.realpathSync(path.dirname(path.resolve(file)))
+  return parent === target || parent.startsWith(target + path.sep)
+}
+
+/*
+  The target to give the output copy of the symlink `linkPath`, written at
+  `outputPath`. A target inside a watch dir is pointed at its output, with a
+  relative path, so that the output dir can be moved. Any other relative
+  target is made absolute, so that it still resolves from the output dir.
+  `getOutputPath` maps a source path to its output path.
+* */
+export function getOutputLinkTarget(linkPath, outputPath, watchDirs, getOutputPath) {
+  const target = fs.readlinkSync(linkPath)
+  const resolved = path.resolve(path.dirname(linkPath), target)
+  const isWatched = watchDirs.some((dir) => {
+    const relative = path.relative(path.resolve(dir), resolved)
+    return !relative.startsWith('..') && !path.isAbsolute(relative)
+  })
+  if (isWatched) {
+    const outputTarget = getOutputPath(path.relative(process.cwd(), resolved))
+    return path.relative(path.dirname(outputPath), outputTarget) || '.'
+  }
+  return path.isAbsolute(target) ? target : resolved
+}
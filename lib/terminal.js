@@ -0,0 +1,103 @@
+import readline from 'readline'
+import c from 'ansi-colors'
+
+const commandHelp = [
+  ['rs, restart [name]', 'Restart every process, or only the named one.'],
+  ['rb, rebuild', 'Build every file again, ignoring the cache, and restart.'],
+  ['ps, status', 'Print the status of each process.'],
+  ['debug', 'Turn --debug logging on or off.'],
+  ['cls, clear', 'Clear the screen.'],
+  ['help', 'Print this list.'],
+]
+
+function formatUptime(ms) {
+  if (ms === null) return '-'
+  const seconds = Math.floor(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `${minutes}m${seconds % 60}s`
+  return `${Math.floor(minutes / 60)}h${minutes % 60}m`
+}
+
+function printStatus(rebuild) {
+  const { processes, failing } = rebuild.status()
+  const rows = [
+    ['NAME', 'TYPE', 'STATUS', 'PID', 'UPTIME', 'RESTARTS', 'LAST EXIT'],
+    ...processes.map((p) => [
+      p.name,
+      p.type,
+      p.status,
+      p.pid === null ? '-' : String(p.pid),
+      formatUptime(p.uptime),
+      String(p.restarts),
+      p.lastExitSignal || (p.lastExitCode === null ? '-' : String(p.lastExitCode)),
+    ]),
+  ]
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => row[i].length))
+  )
+  rows.forEach((row, i) => {
+    const line = row.map((cell, j) => cell.padEnd(widths[j])).join('  ')
+    console.log(i === 0 ? c.grey(line) : line)
+  })
+  if (processes.length === 0) {
+    console.log(c.grey('no fork or spawn processes'))
+  }
+  if (failing.length) {
+    console.log(
+      `${c.red(`${failing.length} failing:`)} ${failing.join(', ')}`
+    )
+  }
+}
+
+/*
+  Reads commands from stdin while watching, like nodemon's `rs`.
+  Returns a function which stops listening.
+* */
+export function listenForCommands(rebuild) {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false })
+
+  const commands = {
+    rs: (name) => rebuild.restart(name ? [name] : undefined),
+    rb: () => rebuild.forceBuild(),
+    ps: () => printStatus(rebuild),
+    cls: () => {
+      process.stdout.write('\x1Bc')
+    },
+    debug: () => {
+      rebuild.setDebug(!rebuild.isDebug())
+      console.log(
+        `${c.green('[monitor]')} ${c.grey(`debug ${rebuild.isDebug() ? 'on' : 'off'}`)}`
+      )
+    },
+    help: () => {
+      for (const [usage, description] of commandHelp) {
+        console.log(`    ${usage.padEnd(22)}${c.grey(description)}`)
+      }
+    },
+  }
+  commands.restart = commands.rs
+  commands.rebuild = commands.rb
+  commands.status = commands.ps
+  commands.clear = commands.cls
+
+  rl.on('line', async (line) => {
+    const [command, ...args] = line.trim().split(/\s+/)
+    if (!command) return
+    const run = Object.hasOwn(commands, command) && commands[command]
+    if (!run) {
+      console.log(
+        `${c.green('[monitor]')} ${c.red(`unknown command ${command}`)} ${c.grey('(try help)')}`
+      )
+      return
+    }
+    try {
+      // Process names default to their command, like `node server.js`.
+      await run(args.join(' '))
+    } catch (err) {
+      console.log(`${c.green('[monitor]')} ${c.red(err.message)}`)
+    }
+  })
+
+  return () => rl.close()
+}
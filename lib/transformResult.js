@@ -0,0 +1,118 @@
+import path from 'path'
+
+/*
+  Parses the value returned by a transformer into {main, files, dependencies},
+  where `main` and each of `files` are {path, contents} with an absolute
+  `path`. `main` is null when the transformer only returned `files`, or asked
+  for the file to be skipped.
+
+  A transformer may return:
+  * A string or Buffer, which is written to `outputPath`.
+  * {skip: true}, in which case nothing is written for this file.
+  * {contents, path, extension, files}, where `path` replaces `outputPath`,
+    `extension` replaces its extension (like '.js'), and `files` is a list of
+    additional {path, contents} outputs. Relative paths are resolved from the
+    directory of `outputPath`. `contents` may be omitted when only `files` are
+    wanted.
+  Any result object may also list `dependencies`, the paths of other files the
+  transformer read, like imported modules or a package.json. Relative paths
+  are resolved from the directory of `inputPath`.
+* */
+function parseTransformResult(result, inputPath, outputPath) {
+  if (typeof result === 'string' || Buffer.isBuffer(result)) {
+    return { main: { path: outputPath, contents: result }, files: [], dependencies: [] }
+  }
+
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    throw new Error(
+      'Returned value from custom transformer is not a string, a Buffer, or a result object.'
+    )
+  }
+
+  const dependencies = (result.dependencies || []).map((dependency) =>
+    path.resolve(path.dirname(inputPath), dependency)
+  )
+  if (result.skip) {
+    return { main: null, files: [], dependencies, skip: true }
+  }
+
+  const outputDir = path.dirname(outputPath)
+  let main = null
+  if (result.contents !== undefined) {
+    let mainPath = result.path
+      ? path.resolve(outputDir, result.path)
+      : outputPath
+    if (result.extension) {
+      const ext = result.extension.startsWith('.')
+        ? result.extension
+        : `.${result.extension}`
+      mainPath = mainPath.slice(0, -path.extname(mainPath).length || undefined) + ext
+    }
+    main = { path: mainPath, contents: result.contents }
+  }
+  const files = (result.files || []).map((file) => ({
+    path: path.resolve(outputDir, file.path),
+    contents: file.contents,
+  }))
+  return { main, files, dependencies }
+}
+
+function validateOutputs(outputs, outDir) {
+  for (const output of outputs) {
+    if (
+      typeof output.contents !== 'string' &&
+      !Buffer.isBuffer(output.contents)
+    ) {
+      throw new Error(
+        `Contents returned by custom transformer for ${output.path} are not a string or a Buffer.`
+      )
+    }
+    const rel = path.relative(path.resolve(outDir), output.path)
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) {
+      throw new Error(
+        `Custom transformer returned ${output.path}, which is outside of the output dir.`
+      )
+    }
+  }
+  return outputs
+}
+
+/*
+  Runs each step of a transformer chain, in order. Each step receives the
+  main output of the previous step, at the path it was given by the previous
+  step. Extra `files` from every step are kept. The chain ends early if a step
+  skips the file, or returns no main `contents`.
+  Returns {outputs, dependencies}. `outputs` is a list of {path, contents}
+  with an absolute `path`, where the main output, if any, comes first. It is
+  empty if the file should be skipped. `dependencies` are the absolute paths
+  reported by every step which ran.
+* */
+export async function runTransformerChain(
+  chain,
+  inputPath,
+  outputPath,
+  contents,
+  outDir
+) {
+  let current = { path: outputPath, contents }
+  const files = []
+  const dependencies = new Set()
+  for (const step of chain) {
+    const parsed = parseTransformResult(
+      await step.transform(inputPath, current.path, current.contents),
+      inputPath,
+      current.path
+    )
+    parsed.dependencies.forEach((dependency) => dependencies.add(dependency))
+    if (parsed.skip) {
+      return { outputs: [], dependencies: [...dependencies] }
+    }
+    files.push(...parsed.files)
+    current = parsed.main
+    if (!current) break
+  }
+  return {
+    outputs: validateOutputs([...(current ? [current] : []), ...files], outDir),
+    dependencies: [...dependencies],
+  }
+}
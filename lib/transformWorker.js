@@ -0,0 +1,35 @@
+import { parentPort } from 'worker_threads'
+import { runTransformerChain } from './transformResult.js'
+
+// Transformer modules are imported once per worker.
+const steps = new Map()
+const loadStep = async (file) => {
+  if (!steps.has(file)) {
+    steps.set(file, {
+      transform: (await import(file)).default,
+    })
+  }
+  return steps.get(file)
+}
+
+parentPort.on('message', async ({ id, files, inputPath, outputPath, contents, outDir }) => {
+  try {
+    const chain = []
+    for (const file of files) {
+      chain.push(await loadStep(file))
+    }
+    const result = await runTransformerChain(
+      chain,
+      inputPath,
+      outputPath,
+      contents,
+      outDir
+    )
+    parentPort.postMessage({ id, result })
+  } catch (err) {
+    parentPort.postMessage({
+      id,
+      error: { message: err.message, stack: err.stack },
+    })
+  }
+})
@@ -0,0 +1,114 @@
+import fs from 'fs-extra'
+import path from 'path'
+import micromatch from 'micromatch'
+import { toArray, hashContents } from './utils.js'
+
+const defaultTransform = async (filepath, outputPath, contents) => {
+  return contents
+}
+
+/*
+  Loads one step of a transformer chain, given either a path to a JS file
+  with a default export, or a function.
+  The step's `hash` is part of the cache key of every file it transforms,
+  so editing transformer.js invalidates everything it produced.
+* */
+async function loadStep(using) {
+  if (typeof using === 'function') {
+    return {
+      name: using.name || 'anonymous',
+      transform: using,
+      hash: hashContents(using.toString()),
+    }
+  }
+  const filepath = path.resolve(using)
+  return {
+    name: path.relative(process.cwd(), filepath),
+    // Steps loaded from a file can also be loaded by transform workers.
+    file: filepath,
+    transform: (await import(filepath)).default,
+    hash: hashContents(fs.readFileSync(filepath)),
+  }
+}
+
+/*
+  Builds the list of transformer rules, each {globs, steps}, in order.
+  The `transform` globs and `using` option make up the first rule, where more
+  than one `using` forms a chain. Each entry of the `transformers` option,
+  {match, use}, adds another rule.
+* */
+export async function loadTransformerRules(options) {
+  const ruleOptions = []
+  if (toArray(options.transform).length) {
+    ruleOptions.push({ match: options.transform, use: options.using })
+  }
+  ruleOptions.push(...toArray(options.transformers))
+
+  const loaded = new Map()
+  const rules = []
+  for (const rule of ruleOptions) {
+    const globs = toArray(rule.match)
+    if (globs.length === 0) {
+      throw new Error(
+        'Each entry in `transformers` needs a `match` glob.'
+      )
+    }
+    const uses = toArray(rule.use)
+    const steps = []
+    for (const using of uses.length ? uses : [defaultTransform]) {
+      if (!loaded.has(using)) {
+        loaded.set(
+          using,
+          using === defaultTransform
+            ? { name: 'default', transform: defaultTransform, hash: null }
+            : await loadStep(using)
+        )
+      }
+      steps.push(loaded.get(using))
+    }
+    rules.push({ globs, steps })
+  }
+  return rules
+}
+
+/*
+  Returns the steps of every rule matching `f`, in rule order.
+  For example, a file under src/web can go through a JSX chain which applies
+  to all of src, followed by an imports rewriter which only applies to src/web.
+* */
+export function getTransformerChain(rules, f) {
+  const chain = []
+  for (const rule of rules) {
+    if (rule.globs.find((glob) => micromatch.isMatch(f, glob))) {
+      chain.push(...rule.steps)
+    }
+  }
+  return chain
+}
+
+/*
+  Describes which rules match `f`, like
+  `src/{a,b}: babel.js -> minify.js`, for --dry-run.
+* */
+export function explainTransformerChain(rules, f) {
+  return rules
+    .map((rule) => {
+      const glob = rule.globs.find((glob) => micromatch.isMatch(f, glob))
+      return glob && `${glob}: ${rule.steps.map((step) => step.name).join(' -> ')}`
+    })
+    .filter(Boolean)
+    .join('; ')
+}
+
+/*
+  The cache key of a whole chain. Null for files which are copied.
+* */
+export function getChainHash(chain) {
+  if (chain.length === 0) {
+    return null
+  }
+  if (chain.length === 1) {
+    return chain[0].hash
+  }
+  return hashContents(chain.map((step) => step.hash).join(','))
+}
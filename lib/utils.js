@@ -0,0 +1,65 @@
+import crypto from 'crypto'
+import path from 'path'
+
+export const toArray = (value) =>
+  Array.isArray(value) ? value : [value].filter((a) => !!a)
+
+export function hashContents(contents) {
+  return crypto.createHash('sha1').update(contents).digest('hex')
+}
+
+// Paths reported by chokidar use the platform's separator. Internally,
+// relative paths always use forward slashes so that they can be matched
+// against globs and used as manifest keys.
+export function normalizePath(f) {
+  return path.normalize(f).replaceAll('\\', '/')
+}
+
+/*
+  Converts the output of chokidar's watcher.getWatched()
+  to a form which is a flattened list of file names, relative to the watched dir.
+* */
+export function flattenChokidarWatched(dir, watched) {
+  const resultMap = {}
+  for (const key of Object.keys(watched)) {
+    const children = watched[key]
+    for (const child of children) {
+      const absolutePath = key + '/' + child
+      let rel = dir + '/' + path.relative(dir, absolutePath)
+      if (rel.endsWith('/')) {
+        rel = rel.slice(0, -1)
+      }
+      resultMap[rel] = true
+    }
+  }
+  const result = Object.keys(resultMap)
+  return result
+}
+
+/*
+  Returns a function which runs async functions with at most `concurrency`
+  of them running at once. Queued functions start in the order they were given.
+* */
+export function createLimit(concurrency) {
+  const queue = []
+  let active = 0
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return
+    active++
+    const { fn, resolve, reject } = queue.shift()
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject })
+      next()
+    })
+}
@@ -0,0 +1,113 @@
+import path from 'path'
+import { toArray, normalizePath, hashContents } from './utils.js'
+
+/*
+  Normalizes the `watch` option into a list of watch roots,
+  {dir, base, to, rename}. An entry is either a dir, or an object with:
+  * `dir` - The dir to watch.
+  * `base` - The dir which output paths are relative to. Default is the
+    first segment of `dir`, so `src/backend/x.js` is written to
+    `<output>/backend/x.js`, as before this option existed.
+  * `to` - A dir inside the output dir(s) to write to. Default is the output
+    dir itself.
+  * `rename` - Rules applied in order to the path relative to `base`, each
+    {from, to}, where `from` is a RegExp, or a string pattern, and `to` is
+    its replacement, like `{from: '^([^/]+)/src(/|$)', to: '$1$2'}`, which
+    drops an inner src dir. Dirs are renamed as well, without a trailing slash.
+* */
+export function normalizeWatchRoots(watch) {
+  return toArray(watch).map((entry) => {
+    const options = typeof entry === 'string' ? { dir: entry } : entry
+    if (!options || !options.dir) {
+      throw new Error('Each --watch entry needs a `dir`.')
+    }
+    // Like `src/api`, so that paths built from it match the watcher's.
+    const dir = normalizePath(options.dir).replace(/(.)\/+$/, '$1')
+    const base = options.base === undefined
+      ? getDefaultBase(dir)
+      : normalizePath(options.base)
+    const fromBase = path.relative(path.resolve(base), path.resolve(dir))
+    if (fromBase.startsWith('..') || path.isAbsolute(fromBase)) {
+      throw new Error(`The base of the watch dir ${dir} must contain it, but it is ${base}.`)
+    }
+    const to = normalizePath(options.to || '.')
+    if (to.startsWith('..') || path.isAbsolute(to)) {
+      throw new Error(`The \`to\` of the watch dir ${dir} must be inside the output dir.`)
+    }
+    const rename = toArray(options.rename).map((rule) => {
+      if (!rule || rule.from === undefined || rule.to === undefined) {
+        throw new Error(`Each \`rename\` rule of the watch dir ${dir} needs a \`from\` and a \`to\`.`)
+      }
+      return {
+        from: rule.from instanceof RegExp ? rule.from : new RegExp(rule.from),
+        to: rule.to,
+      }
+    })
+    return { dir, base, to, rename, explicit: typeof entry !== 'string' }
+  })
+}
+
+// '.' maps to itself, and an absolute dir drops only its leading slash.
+function getDefaultBase(dir) {
+  const first = dir.split('/')[0]
+  if (first === '.') return '.'
+  return first === '' ? '/' : first
+}
+
+/*
+  The root which `f`, a path relative to the cwd, was found in. The deepest
+  one wins, when roots are nested.
+* */
+export function getWatchRoot(roots, f) {
+  const absolute = path.resolve(f)
+  let found = null
+  for (const root of roots) {
+    const relative = path.relative(path.resolve(root.dir), absolute)
+    const inside = !relative.startsWith('..') && !path.isAbsolute(relative)
+    if (inside && (!found || path.resolve(root.dir).length > path.resolve(found.dir).length)) {
+      found = root
+    }
+  }
+  return found
+}
+
+/*
+  The path of `f` relative to an output dir: relative to its root's base,
+  renamed, then under the root's `to`. Paths outside every root keep the
+  original mapping of dropping their first segment.
+* */
+export function getOutputRelativePath(roots, f) {
+  f = normalizePath(f)
+  const root = getWatchRoot(roots, f)
+  if (!root) {
+    return f.split('/').slice(1).join('/')
+  }
+  let relative = normalizePath(path.relative(path.resolve(root.base), path.resolve(f)))
+  if (relative === '.') relative = ''
+  for (const rule of root.rename) {
+    relative = relative.replace(rule.from, rule.to)
+  }
+  return normalizePath(path.join(root.to, relative))
+}
+
+/*
+  Identifies how sources are mapped to outputs, so that the build cache is
+  dropped when it changes. Null for the default mapping, which is what
+  manifests written before the mapping was configurable used.
+* */
+export function getMappingKey(roots, outDirs) {
+  if (outDirs.length === 1 && roots.every((root) => !root.explicit)) {
+    return null
+  }
+  return hashContents(
+    JSON.stringify({
+      roots: roots.map((root) => ({
+        dir: root.dir,
+        base: root.base,
+        to: root.to,
+        rename: root.rename.map((rule) => [String(rule.from), rule.to]),
+      })),
+      outDirs: outDirs.map((dir) => normalizePath(dir)),
+    })
+  )
+}
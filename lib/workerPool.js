@@ -0,0 +1,95 @@
+import { Worker } from 'worker_threads'
+
+/*
+  A fixed size pool of worker threads running `workerFile`.
+  Each worker handles one task at a time: it receives {id, ...task} and must
+  reply with {id, result} or {id, error: {message, stack}}.
+  Idle workers are unref'd, so an idle pool does not keep the process alive.
+* */
+export function createWorkerPool(size, workerFile) {
+  const workers = []
+  const idle = []
+  const queue = []
+  let nextId = 0
+  let closed = false
+
+  const drain = () => {
+    while (idle.length && queue.length) {
+      const worker = idle.pop()
+      const job = queue.shift()
+      worker.job = job
+      worker.ref()
+      worker.postMessage({ id: job.id, ...job.task })
+    }
+  }
+
+  const finish = (worker) => {
+    worker.job = null
+    worker.unref()
+    idle.push(worker)
+    drain()
+  }
+
+  const addWorker = () => {
+    const worker = new Worker(workerFile)
+    worker.job = null
+    worker.on('message', (message) => {
+      const job = worker.job
+      if (!job || message.id !== job.id) return
+      if (message.error) {
+        const err = new Error(message.error.message)
+        err.stack = message.error.stack
+        job.reject(err)
+      } else {
+        job.resolve(message.result)
+      }
+      finish(worker)
+    })
+    worker.on('error', (err) => {
+      if (worker.job) {
+        worker.job.reject(err)
+        worker.job = null
+      }
+    })
+    worker.on('exit', () => {
+      workers.splice(workers.indexOf(worker), 1)
+      if (idle.includes(worker)) {
+        idle.splice(idle.indexOf(worker), 1)
+      }
+      if (worker.job) {
+        worker.job.reject(new Error('Transform worker exited unexpectedly.'))
+        worker.job = null
+      }
+      if (!closed) {
+        addWorker()
+        drain()
+      }
+    })
+    worker.unref()
+    workers.push(worker)
+    idle.push(worker)
+  }
+
+  for (let i = 0; i < size; i++) {
+    addWorker()
+  }
+
+  return {
+    run(task) {
+      if (closed) {
+        return Promise.reject(new Error('The worker pool is closed.'))
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, task, resolve, reject })
+        drain()
+      })
+    },
+    async close() {
+      closed = true
+      for (const job of queue.splice(0)) {
+        job.reject(new Error('The worker pool is closed.'))
+      }
+      await Promise.all(workers.map((worker) => worker.terminate()))
+    },
+  }
+}
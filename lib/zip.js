@@ -0,0 +1,142 @@
+import fs from 'fs-extra'
+import path from 'path'
+import zlib from 'zlib'
+
+/*
+  Writes a zip archive of `entries`, [{name, path}], where `name` is the
+  path inside the archive and `path` is the file to read. A symlink is
+  stored as a symlink, with its target as contents, like zip -y does, since
+  reading it would fail for links to dirs.
+  The archive only depends on the entries' names, contents and executable
+  bits: entries are written in the given order, with a fixed timestamp, so
+  the same inputs always produce the same bytes.
+  Resolves with [{name, size, compressedSize}] for each entry.
+* */
+export async function writeZip(zipPath, entries) {
+  await fs.ensureDir(path.dirname(path.resolve(zipPath)))
+  const handle = await fs.promises.open(zipPath, 'w')
+  const written = []
+  const centralDirectory = []
+  let offset = 0
+  const write = async (buffer) => {
+    await handle.write(buffer)
+    offset += buffer.length
+  }
+
+  try {
+    for (const entry of entries) {
+      const isSymlink = (await fs.lstat(entry.path)).isSymbolicLink()
+      const contents = isSymlink
+        ? Buffer.from(await fs.readlink(entry.path), 'utf8')
+        : await fs.readFile(entry.path)
+      const mode = isSymlink
+        ? 0o120777
+        : 0o100000 | ((await fs.stat(entry.path)).mode & 0o111 ? 0o755 : 0o644)
+      const deflated = zlib.deflateRawSync(contents, { level: 9 })
+      // Already compressed files, like images, are stored as is.
+      const stored = deflated.length >= contents.length
+      const data = stored ? contents : deflated
+      if (contents.length >= 0xffffffff || offset >= 0xffffffff) {
+        throw new Error(`${entry.name} does not fit in a zip archive without zip64.`)
+      }
+
+      const name = Buffer.from(entry.name, 'utf8')
+      const header = {
+        method: stored ? 0 : 8,
+        crc: crc32(contents),
+        compressedSize: data.length,
+        size: contents.length,
+      }
+      const localHeader = Buffer.alloc(30)
+      localHeader.writeUInt32LE(0x04034b50, 0)
+      writeCommonHeader(localHeader, 4, header)
+      localHeader.writeUInt16LE(name.length, 26)
+      localHeader.writeUInt16LE(0, 28) // extra field length
+
+      const centralHeader = Buffer.alloc(46)
+      centralHeader.writeUInt32LE(0x02014b50, 0)
+      centralHeader.writeUInt16LE((3 << 8) | 20, 4) // made by unix, so that the mode is read
+      writeCommonHeader(centralHeader, 6, header)
+      centralHeader.writeUInt16LE(name.length, 28)
+      centralHeader.writeUInt32LE((mode << 16) >>> 0, 38)
+      centralHeader.writeUInt32LE(offset, 42)
+      centralDirectory.push(centralHeader, name)
+
+      await write(Buffer.concat([localHeader, name]))
+      await write(data)
+      written.push({
+        name: entry.name,
+        size: contents.length,
+        compressedSize: data.length,
+      })
+    }
+
+    const directoryOffset = offset
+    const directory = Buffer.concat(centralDirectory)
+    await write(directory)
+    if (offset >= 0xffffffff) {
+      throw new Error('The bundle does not fit in a zip archive without zip64.')
+    }
+
+    const count = entries.length
+    if (count >= 0xffff) {
+      // Too many entries for the classic end record, so a zip64 one comes first.
+      const zip64End = Buffer.alloc(56)
+      zip64End.writeUInt32LE(0x06064b50, 0)
+      zip64End.writeBigUInt64LE(44n, 4) // size of the rest of this record
+      zip64End.writeUInt16LE((3 << 8) | 45, 12)
+      zip64End.writeUInt16LE(45, 14)
+      zip64End.writeBigUInt64LE(BigInt(count), 24)
+      zip64End.writeBigUInt64LE(BigInt(count), 32)
+      zip64End.writeBigUInt64LE(BigInt(directory.length), 40)
+      zip64End.writeBigUInt64LE(BigInt(directoryOffset), 48)
+      const locator = Buffer.alloc(20)
+      locator.writeUInt32LE(0x07064b50, 0)
+      locator.writeBigUInt64LE(BigInt(offset), 8)
+      locator.writeUInt32LE(1, 16) // total number of disks
+      await write(Buffer.concat([zip64End, locator]))
+    }
+
+    const end = Buffer.alloc(22)
+    end.writeUInt32LE(0x06054b50, 0)
+    end.writeUInt16LE(Math.min(count, 0xffff), 8)
+    end.writeUInt16LE(Math.min(count, 0xffff), 10)
+    end.writeUInt32LE(directory.length, 12)
+    end.writeUInt32LE(directoryOffset, 16)
+    await write(end)
+  } finally {
+    await handle.close()
+  }
+  return written
+}
+
+// The fields shared by local and central headers, from "version needed".
+function writeCommonHeader(buffer, at, { method, crc, compressedSize, size }) {
+  buffer.writeUInt16LE(20, at) // version needed to extract
+  buffer.writeUInt16LE(0x0800, at + 2) // names are UTF-8
+  buffer.writeUInt16LE(method, at + 4)
+  buffer.writeUInt16LE(0, at + 6) // time, 00:00:00
+  buffer.writeUInt16LE((0 << 9) | (1 << 5) | 1, at + 8) // date, 1980-01-01
+  buffer.writeUInt32LE(crc, at + 10)
+  buffer.writeUInt32LE(compressedSize, at + 14)
+  buffer.writeUInt32LE(size, at + 18)
+}
+
+let crcTable = null
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c
+    }
+  }
+  let crc = 0xffffffff
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}